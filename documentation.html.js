@@ -36,6 +36,11 @@ define([], function() {
                 '<td><kbd>Ctrl</kbd>+<kbd>E</kbd></td>' +
                 '<td>NA</td>' +
             '</tr>' +
+            '<tr>' +
+                '<td>Export values of selected (or all) spots as CSV</td>' +
+                '<td><kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>S</kbd></td>' +
+                '<td>Turn on "Export all maps" in the "Spots" tab to include values of all maps</td>' +
+            '</tr>' +
         '</tbody>' +
     '</table>' +
 
@@ -74,6 +79,16 @@ define([], function() {
                 '<td>Left-click at a spot</td>' +
                 '<td>2D, 3D</td>' +
             '</tr>' +
+            '<tr>' +
+                '<td>Display spot values and metadata</td>' +
+                '<td>Hover over a spot (enable "Hover tooltips" in the "Spots" tab)</td>' +
+                '<td>2D, 3D</td>' +
+            '</tr>' +
+            '<tr>' +
+                '<td>Select spots with a rectangle or a lasso (set in the "Spots" tab)</td>' +
+                '<td>Move mouse holding Shift and left button (add Ctrl or Cmd to extend the selection)</td>' +
+                '<td>2D, 3D</td>' +
+            '</tr>' +
             '<tr>' +
                 '<td>Move model</td>' +
                 '<td>Move mouse holding right button</td>' +
@@ -47,13 +47,17 @@ return function (container, baseUrl) {
             'inputfilesprocessor': './js/InputFilesProcessor',
             'main': './js/main',
             'mapselector': './js/MapSelector',
+            'measureexpression': './js/MeasureExpression',
             'materialloader': './js/workers/MaterialLoader',
+            'parallelmapper': './js/workers/ParallelMapper',
             'scene2d': './js/Scene2D',
             'scene3d': './js/Scene3D',
+            'selectiontool': './js/SelectionTool',
             'spotlabel2d': './js/SpotLabel2D',
             'spotlabel3d': './js/SpotLabel3D',
             'spotlabelbase': './js/SpotLabelBase',
             'spotscontroller': './js/SpotsController',
+            'spottooltip': './js/SpotTooltip',
             'tabcontroller3d': './js/TabController3D',
             'tabcontrollerbase': './js/TabControllerBase',
             'tabcontrollerdocumentation': './js/TabControllerDocumentation',
@@ -63,6 +67,7 @@ return function (container, baseUrl) {
             'view2d': './js/View2D',
             'view3d': './js/View3D',
             'viewcontainer': './js/ViewContainer',
+            'viewgrid2d': './js/ViewGrid2D',
             'viewgroup3d': './js/ViewGroup3D',
             'viewlegend': './js/ViewLegend',
             'workspace': './js/Workspace',
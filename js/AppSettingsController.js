@@ -44,6 +44,7 @@ function (Workspace, TabControllerSpots, TabController3D, TabControllerMapping,
     AppSettingsController.SETTINGS_KEYS = {
         VERSION: 'version',
         SELECTED_MAP: 'selected_map',
+        DERIVED_MAPS: 'derived_maps',
         VIEWS: 'views_state',
         PARAMS: 'params'
     };
@@ -119,6 +120,9 @@ function (Workspace, TabControllerSpots, TabController3D, TabControllerMapping,
                 var data = {};
                 data[AppSettingsController.SETTINGS_KEYS.VERSION] = AppSettingsController.VERSION;
                 data[AppSettingsController.SETTINGS_KEYS.SELECTED_MAP] = this._workspace.spotsController.mapName;
+                data[AppSettingsController.SETTINGS_KEYS.DERIVED_MAPS] = this._workspace.spotsController.derivedMeasures.map(function(derived) {
+                    return {name: derived.name, formula: derived.formula};
+                });
                 data[AppSettingsController.SETTINGS_KEYS.VIEWS] = this._views.toJSON();
 
                 var tabs = {};
@@ -4,9 +4,10 @@ define([
     'bootstrap_colorpicker',
     'bootstrap_select',
     'bootstrap_slider',
-    'bootstrap_spinbox'
+    'bootstrap_spinbox',
+    'utils'
 ],
-function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
+function(bs_colorpicker, bs_select, bs_slider, bs_spinbox, Utils) {
     function ControlGrid($container) {
         this._$container = $container;
         this._params = {};
@@ -198,6 +199,87 @@ function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
             }
         },
 
+        /**
+         * Choice of a map stored by name in |object|[key] ('' for |noneLabel|).
+         * Options refer to maps by index since names may have any characters
+         * but the control is saved and restored with the name.
+         *
+         * @param {Array} measures Maps to choose from.
+         */
+        addMapChoice: {
+            value: function (object, key, name, measures, noneLabel) {
+                var options = [[noneLabel, '']].concat(measures.map(function (measure, index) {
+                    return [Utils.escapeHTML(measure.name), String(index)];
+                }));
+                var proxy = Object.create(null, {
+                    value: {
+                        get: function () {
+                            for (var i = 0; i < measures.length; i++) {
+                                if (measures[i].name === object[key]) return String(i);
+                            }
+                            return '';
+                        },
+                        set: function (value) {
+                            object[key] = value === '' ? '' : measures[Number(value)].name;
+                        }
+                    }
+                });
+                var result = this.addChoice(proxy, 'value', name, options);
+                var selectIndex = result.set;
+                result.get = function () {
+                    return object[key];
+                };
+                result.set = function (value) {
+                    object[key] = value;
+                    selectIndex(proxy.value);
+                };
+                result.refresh = function () {
+                    selectIndex(proxy.value);
+                };
+                return result;
+            }
+        },
+
+        addText: {
+            value: function (object, key, name) {
+                var controlIds = this._generateControlId();
+                var controlId = controlIds['control-id'];
+
+                var layout = '<div class="row">';
+                layout += '<div class="col-xs-12">';
+                layout += '<div class="col-xs-3 control-name-column">' + name + '</div>';
+                layout += '<div class="col-xs-7">';
+                layout += '<input id="' + controlId + '" type="text" class="form-control"></div></div></div>';
+
+                this._$container.append(layout);
+                var input = $('#' + controlId);
+                input.val(object[key]);
+                input.change(function () {
+                    object[key] = input.val();
+                });
+                var result = {
+                    get: function() {
+                        return input.val();
+                    },
+                    set: function(val) {
+                        input.val(val);
+                        input.trigger('change');
+                    },
+                    enable: function() {
+                        input.prop('disabled', false);
+                    },
+                    disable: function() {
+                        input.prop('disabled', true);
+                    },
+                    refresh: function() {
+                        input.val(object[key]);
+                    }
+                };
+                this._params[this._toKey(name)] = result;
+                return result;
+            }
+        },
+
         addColor: {
             value: function (object, key, name) {
                 var controlIds = this._generateControlId();
@@ -313,8 +395,13 @@ function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
             }
         },
 
+        /**
+         * @param {String} name HTML of the title.
+         * @param {String} key Key of the box in settings (optional, derived
+         *                 from |name| by default).
+         */
         addGroupBox: {
-            value: function (name) {
+            value: function (name, key) {
                 var controlIds = this._generateControlId();
                 var controlId = controlIds['control-id'];
 
@@ -330,10 +417,10 @@ function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
                 this._$container.append(layout);
                 var fieldSet = this._$container.find('#' + subContainerId);
                 var result = new ControlGrid(fieldSet);
-                this._params[this._toKey(name)] = result;
+                this._params[this._toKey(key || name)] = result;
 
                 var collapseIndicator = this._$container.find('#arrow-' + controlId);
-                this._$container.find('div.panel.panel-default').on('click', function () {
+                this._$container.find('#' + controlId).closest('div.panel').on('click', function () {
                     collapseIndicator.toggleClass('glyphicon-chevron-down');
                     collapseIndicator.toggleClass('glyphicon-chevron-up');
                 });
@@ -342,6 +429,16 @@ function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
             }
         },
 
+        /**
+         * Removes all controls (for grids with dynamic content).
+         */
+        clear: {
+            value: function () {
+                this._$container.empty();
+                this._params = {};
+            }
+        },
+
         refresh: {
             value: function () {
                 Object.keys(this._params).forEach(function (paramName) {
@@ -350,10 +447,15 @@ function(bs_colorpicker, bs_select, bs_slider, bs_spinbox) {
             }
         },
 
+        /**
+         * Values of controls. Controls with |saved| set to false are skipped
+         * (for values saved elsewhere).
+         */
         toJSON: {
             value: function () {
                 var result = {};
                 Object.keys(this._params).map(function (key, index) {
+                    if (this._params[key].saved === false) return;
                     result[key] = typeof this._params[key].get === 'function' ? this._params[key].get() : this._params[key].toJSON();
                 }.bind(this));
                 return result;
@@ -18,6 +18,11 @@ function() {
             this._listeners[eventName].push(listener);
         },
 
+        removeEventListener: function(eventName, listener) {
+            var index = this._listeners[eventName].indexOf(listener);
+            if (index >= 0) this._listeners[eventName].splice(index, 1);
+        },
+
         _notify: function(eventName) {
             var listeners = this._listeners[eventName];
             for (var i = 0; i < listeners.length; i++) {
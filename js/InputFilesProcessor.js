@@ -5,10 +5,17 @@ function (Utils) {
     function InputFilesProcessor(workspace) {
         this._supportedInput = [
             new FileCombination('csv', workspace.loadIntensities.bind(workspace)),
+            new FileCombination('tsv', workspace.loadIntensities.bind(workspace)),
+            new FileCombination('csv.gz', workspace.loadIntensities.bind(workspace)),
+            new FileCombination('tsv.gz', workspace.loadIntensities.bind(workspace)),
+            new FileCombination(['imzml', 'ibd'], workspace.loadImzML.bind(workspace), FileCombination.RELATION.AND),
             new FileCombination('json', workspace.loadSettings.bind(workspace)),
             new FileCombination(Utils.SupportedImageFormats, workspace.loadImage.bind(workspace), FileCombination.RELATION.OR),
             new FileCombination('stl', workspace.loadMesh.bind(workspace)),
             new FileCombination('obj', workspace.loadMesh.bind(workspace)),
+            new FileCombination('ply', workspace.loadMesh.bind(workspace)),
+            new FileCombination('gltf', workspace.loadMesh.bind(workspace)),
+            new FileCombination('glb', workspace.loadMesh.bind(workspace)),
             new FileCombination(['mtl', new FileCombination(Utils.SupportedImageFormats,
                 null, FileCombination.RELATION.OR)], workspace.loadMaterial.bind(workspace), FileCombination.RELATION.AND)
         ];
@@ -182,8 +189,9 @@ function (Utils) {
                     }
                     return result;
                 } else if (this.extension) {
+                    // Extension may consist of several parts (like 'csv.gz').
                     var match = urls.find(function (url) {
-                        return Utils.getFileExtension(url) === this.extension;
+                        return url.endsWith('.' + this.extension);
                     }.bind(this));
                     return match ? {
                         files: [match],
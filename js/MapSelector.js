@@ -56,7 +56,12 @@ function(AppSettingsController, SpotsController, Utils, Workspace) {
                         index: x.index
                     };
                 });
-                this._selectIndex(this._measures.length ? 0 : -1);
+                // Adding or removing derived maps keeps the active one.
+                var active = this._spotsController.mapName;
+                var index = this._measures.findIndex(function (i) {
+                    return i.name == active;
+                });
+                this._selectIndex(index >= 0 ? index : this._measures.length ? 0 : -1);
                 this._applyFilter();
             }
         },
@@ -67,6 +72,12 @@ function(AppSettingsController, SpotsController, Utils, Workspace) {
                     return;
                 }
 
+                // The selected map may be derived.
+                var derived = this._workspace.loadedSettings[AppSettingsController.SETTINGS_KEYS.DERIVED_MAPS];
+                if (derived) {
+                    this._spotsController.derivedMeasures = derived;
+                }
+
                 var mapName = this._workspace.loadedSettings[AppSettingsController.SETTINGS_KEYS.SELECTED_MAP];
                 var idx = this._measures.findIndex(function (i) {
                     return i.name == mapName;
@@ -344,16 +355,7 @@ function(AppSettingsController, SpotsController, Utils, Workspace) {
 
         _escapeHTML: {
             value: function(x) {
-                var entityMap = {
-                    '&': '&amp;',
-                    '<': '&lt;',
-                    '>': '&gt;',
-                    '"': '&quot;'
-                };
-
-                return String(x).replace(/[&<>"]/g, function(s) {
-                  return entityMap[s];
-                });
+                return Utils.escapeHTML(x);
             }
         }
     });
@@ -0,0 +1,252 @@
+'use strict';
+
+define([],
+function() {
+    /**
+     * Formula of a derived map computed from other maps, like "log(A/B)",
+     * "A + B + C" or "zscore(A)". Maps are referenced by names; names that
+     * are not identifiers are quoted ("m/z 885.55"). Supports numbers, + - * / ^
+     * operators, parentheses and MeasureExpression.Functions.
+     *
+     * @param {String} formula
+     */
+    function MeasureExpression(formula) {
+        this._formula = String(formula).trim();
+        this._tokens = MeasureExpression._tokenize(this._formula);
+        this._position = 0;
+        this._names = [];
+        if (!this._tokens.length) throw 'Empty formula';
+        this._root = this._parseSum();
+        if (this._position < this._tokens.length) {
+            throw 'Unexpected "' + this._tokens[this._position].text + '" in formula';
+        }
+    }
+
+    /**
+     * Functions of whole columns of values (Float64Array -> Float64Array).
+     */
+    MeasureExpression.Functions = {
+        log: elementwise(Math.log),
+        log2: elementwise(Math.log2),
+        log10: elementwise(Math.log10),
+        exp: elementwise(Math.exp),
+        sqrt: elementwise(Math.sqrt),
+        abs: elementwise(Math.abs),
+
+        // Standard score across spots with finite values.
+        zscore: function(values) {
+            var finite = values.filter(isFinite);
+            var mean = finite.reduce(function(sum, x) { return sum + x; }, 0) / finite.length;
+            var variance = finite.reduce(function(sum, x) { return sum + (x - mean) * (x - mean); }, 0) / finite.length;
+            var deviation = Math.sqrt(variance);
+            return values.map(function(x) {
+                return (x - mean) / deviation;
+            });
+        }
+    };
+
+    MeasureExpression.Operators = {
+        '+': function(a, b) { return a + b; },
+        '-': function(a, b) { return a - b; },
+        '*': function(a, b) { return a * b; },
+        '/': function(a, b) { return a / b; },
+        '^': Math.pow
+    };
+
+    function elementwise(f) {
+        return function(values) {
+            return values.map(f);
+        };
+    }
+
+    /**
+     * Splits the formula into tokens {type, text}: type is 'number', 'name',
+     * 'quoted' or 'operator' (operators and parentheses).
+     */
+    MeasureExpression._tokenize = function(formula) {
+        var pattern = /\s*(?:(\d*\.?\d+(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_.]*)|"([^"]*)"|'([^']*)'|([-+*/^()]))/y;
+        var tokens = [];
+        var position = 0;
+        while (position < formula.length) {
+            pattern.lastIndex = position;
+            var match = pattern.exec(formula);
+            if (!match) {
+                if (!formula.substr(position).trim()) break;
+                throw 'Unexpected "' + formula.substr(position).trim().charAt(0) + '" in formula';
+            }
+            position = pattern.lastIndex;
+            if (match[1] !== undefined) {
+                tokens.push({type: 'number', text: match[1]});
+            } else if (match[2] !== undefined) {
+                tokens.push({type: 'name', text: match[2]});
+            } else if (match[3] !== undefined || match[4] !== undefined) {
+                tokens.push({type: 'quoted', text: match[3] !== undefined ? match[3] : match[4]});
+            } else {
+                tokens.push({type: 'operator', text: match[5]});
+            }
+        }
+        return tokens;
+    };
+
+    MeasureExpression.prototype = Object.create(null, {
+        formula: {
+            get: function() {
+                return this._formula;
+            }
+        },
+
+        /**
+         * Names of maps the formula depends on.
+         */
+        names: {
+            get: function() {
+                return this._names.slice();
+            }
+        },
+
+        /**
+         * @param {Function} findMeasure Returns a measure by name or null.
+         * @param {Number} count Number of spots.
+         * @return {Float32Array} Value for each spot.
+         */
+        evaluate: {
+            value: function(findMeasure, count) {
+                return new Float32Array(this._evaluate(this._root, findMeasure, count));
+            }
+        },
+
+        _evaluate: {
+            value: function(node, findMeasure, count) {
+                switch (node.type) {
+                    case 'number':
+                        return new Float64Array(count).fill(node.value);
+
+                    case 'map':
+                        var measure = findMeasure(node.name);
+                        if (!measure) throw 'Unknown map: "' + node.name + '"';
+                        return Float64Array.from(measure.values);
+
+                    case 'negate':
+                        return this._evaluate(node.argument, findMeasure, count).map(function(x) {
+                            return -x;
+                        });
+
+                    case 'binary':
+                        var left = this._evaluate(node.left, findMeasure, count);
+                        var right = this._evaluate(node.right, findMeasure, count);
+                        var operator = MeasureExpression.Operators[node.operator];
+                        return left.map(function(x, i) {
+                            return operator(x, right[i]);
+                        });
+
+                    case 'call':
+                        return MeasureExpression.Functions[node.name](this._evaluate(node.argument, findMeasure, count));
+                }
+            }
+        },
+
+        _peek: {
+            value: function() {
+                return this._tokens[this._position] || null;
+            }
+        },
+
+        _acceptOperator: {
+            value: function(text) {
+                var token = this._peek();
+                if (token && token.type == 'operator' && text.indexOf(token.text) >= 0) {
+                    this._position++;
+                    return token.text;
+                }
+                return null;
+            }
+        },
+
+        _expectOperator: {
+            value: function(text) {
+                if (!this._acceptOperator(text)) {
+                    var token = this._peek();
+                    throw token ? 'Unexpected "' + token.text + '" in formula' : 'Missing "' + text + '" in formula';
+                }
+            }
+        },
+
+        // sum := product (('+' | '-') product)*
+        _parseSum: {
+            value: function() {
+                var node = this._parseProduct();
+                var operator;
+                while ((operator = this._acceptOperator('+-'))) {
+                    node = {type: 'binary', operator: operator, left: node, right: this._parseProduct()};
+                }
+                return node;
+            }
+        },
+
+        // product := unary (('*' | '/') unary)*
+        _parseProduct: {
+            value: function() {
+                var node = this._parseUnary();
+                var operator;
+                while ((operator = this._acceptOperator('*/'))) {
+                    node = {type: 'binary', operator: operator, left: node, right: this._parseUnary()};
+                }
+                return node;
+            }
+        },
+
+        // unary := '-' unary | power
+        _parseUnary: {
+            value: function() {
+                if (this._acceptOperator('-')) {
+                    return {type: 'negate', argument: this._parseUnary()};
+                }
+                return this._parsePower();
+            }
+        },
+
+        // power := primary ('^' unary)?
+        _parsePower: {
+            value: function() {
+                var node = this._parsePrimary();
+                if (this._acceptOperator('^')) {
+                    node = {type: 'binary', operator: '^', left: node, right: this._parseUnary()};
+                }
+                return node;
+            }
+        },
+
+        // primary := number | name | function '(' sum ')' | '(' sum ')'
+        _parsePrimary: {
+            value: function() {
+                var token = this._peek();
+                if (!token) throw 'Unexpected end of formula';
+                this._position++;
+
+                if (token.type == 'number') {
+                    return {type: 'number', value: Number(token.text)};
+                }
+                if (token.type == 'name' && this._acceptOperator('(')) {
+                    if (!MeasureExpression.Functions.hasOwnProperty(token.text)) {
+                        throw 'Unknown function: ' + token.text;
+                    }
+                    var argument = this._parseSum();
+                    this._expectOperator(')');
+                    return {type: 'call', name: token.text, argument: argument};
+                }
+                if (token.type == 'name' || token.type == 'quoted') {
+                    if (this._names.indexOf(token.text) < 0) this._names.push(token.text);
+                    return {type: 'map', name: token.text};
+                }
+                if (token.text == '(') {
+                    var node = this._parseSum();
+                    this._expectOperator(')');
+                    return node;
+                }
+                throw 'Unexpected "' + token.text + '" in formula';
+            }
+        }
+    });
+
+    return MeasureExpression;
+});
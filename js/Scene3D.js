@@ -15,6 +15,30 @@ function(EventSource, SpotsController, THREE) {
         this._meshScaleFactor = 1.0;
         this._MAX_MESH_SIZE = 80;
         this._color = new THREE.Color('#575757');
+        this._useModelColors = true;
+        this._textureBlending = true;
+        // Spot colors and opacities for the spots shader (see _updateSpotData).
+        this._spotData = null;
+        this._spotUniforms = {
+            spotData: { value: null },
+            spotDataSize: { value: new THREE.Vector2(1, 1) },
+            spotBorder: { value: 0.0 },
+            globalSpotOpacity: { value: 1.0 },
+            interpolation: { value: false }
+        };
+        // Points marking selected spots.
+        this._selectionMarkers = null;
+        this._selectionMaterial = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 6,
+            sizeAttenuation: false,
+            depthTest: false
+        });
+        // Worker for picking spots on the mesh (see raycast).
+        this._picker = Scene3D._createPicker();
+        // Simplified mesh rendered while the view is being rotated.
+        this._lodMesh = null;
+        this._lodSourceIndeces = null;
         this._backgroundColor = new THREE.Color('black');
         this._meshMaterials = [];
         this._defaultMeshMaterial = new THREE.MeshLambertMaterial({
@@ -25,6 +49,9 @@ function(EventSource, SpotsController, THREE) {
         });
         // this property should be used to select correct material if mesh contains multiple ones
         this._meshMaterialName = null;
+        // Named vertex ranges of the mesh (like objects of OBJ file) with own materials.
+        this._parts = [];
+        this._partProxies = null;
 
         this._adjustment = { x: 0, y: 0, z: 0, alpha: 0, beta: 0, gamma: 0 };
 
@@ -35,14 +62,21 @@ function(EventSource, SpotsController, THREE) {
         this._scene.add(this._meshContainer);
         this._scene.add(this._frontLight);
 
-        this._spotsController.addEventListener(SpotsController.Events.SPOTS_CHANGE, this._onSpotsChange.bind(this));
-        this._spotsController.addEventListener(SpotsController.Events.ATTR_CHANGE, this._onGeometryColorChange.bind(this));
-        this._spotsController.addEventListener(SpotsController.Events.INTENSITIES_CHANGE, this._onIntensitiesChange.bind(this));
-        this._spotsController.addEventListener(SpotsController.Events.MAPPING_CHANGE, this._onIntensitiesChange.bind(this));
+        // Listeners of spotsController events (removed by dispose).
+        this._spotsListeners = {};
+        this._spotsListeners[SpotsController.Events.SPOTS_CHANGE] = this._onSpotsChange.bind(this);
+        this._spotsListeners[SpotsController.Events.ATTR_CHANGE] = this._onSpotsAttrChange.bind(this);
+        this._spotsListeners[SpotsController.Events.INTENSITIES_CHANGE] = this._onIntensitiesChange.bind(this);
+        this._spotsListeners[SpotsController.Events.MAPPING_CHANGE] = this._onIntensitiesChange.bind(this);
+        this._spotsListeners[SpotsController.Events.SELECTION_CHANGE] = this._onSelectionChange.bind(this);
+        for (var eventName in this._spotsListeners) {
+            this._spotsController.addEventListener(eventName, this._spotsListeners[eventName]);
+        }
     };
 
     Scene3D.Events = {
         CHANGE: 'change',
+        PARTS_CHANGE: 'parts-change',
     };
 
     Scene3D.RecoloringMode = {
@@ -50,6 +84,139 @@ function(EventSource, SpotsController, THREE) {
         NO_COLORMAP: 'no-colormap'
     };
 
+    /**
+     * Number of spots per vertex the spots shader blends.
+     */
+    Scene3D.MAX_NEIGHBOURS = 4;
+
+    /**
+     * Replaces vertex colors of the Lambert shader with colors of spots
+     * looked up in the spot data texture. 'spotIndeces' has indeces of the
+     * closest spot (nearest mode) or of neighbouring spots (interpolation),
+     * 'spotWeights' has the relative distance to the closest spot or weights
+     * of neighbours.
+     */
+    Scene3D.SPOTS_VERTEX_SHADER = [
+        'uniform sampler2D spotData;',
+        'uniform vec2 spotDataSize;',
+        'uniform float spotBorder;',
+        'uniform float globalSpotOpacity;',
+        'uniform bool interpolation;',
+        'attribute vec4 spotIndeces;',
+        'attribute vec4 spotWeights;',
+        'varying float vSpotAlpha;',
+        '',
+        // RGB is the spot color, A is opacity or -1 if the spot has no value
+        // (see Scene3D._packSpot).
+        'vec4 getSpot(float index) {',
+        '    vec2 cell = vec2(mod(index, spotDataSize.x), floor(index / spotDataSize.x));',
+        '    vec4 spot = texture2D(spotData, (cell + 0.5) / spotDataSize);',
+        '    float alpha = floor(spot.a * 255.0 + 0.5);',
+        '    spot.a = alpha < 1.0 ? -1.0 : (alpha - 1.0) / 254.0;',
+        '    return spot;',
+        '}',
+        ''
+    ].join('\n') + THREE.ShaderLib.lambert.vertexShader.replace('#include <color_vertex>', [
+        'vColor = vec3(0.0);',
+        '\tvSpotAlpha = 0.0;',
+        '\tif (interpolation) {',
+        '\t\tvec4 sum = vec4(0.0);',
+        '\t\tfloat weightSum = 0.0;',
+        '\t\tfor (int i = 0; i < ' + Scene3D.MAX_NEIGHBOURS + '; i++) {',
+        '\t\t\tif (spotIndeces[i] < 0.0) continue;',
+        '\t\t\tvec4 spot = getSpot(spotIndeces[i]);',
+        '\t\t\tif (spot.a < 0.0) continue;',
+        '\t\t\tsum += spot * spotWeights[i];',
+        '\t\t\tweightSum += spotWeights[i];',
+        '\t\t}',
+        '\t\tif (weightSum > 0.0) {',
+        '\t\t\tvColor = sum.rgb / weightSum;',
+        '\t\t\tvSpotAlpha = min(weightSum, 1.0) * (sum.a / weightSum) * globalSpotOpacity;',
+        '\t\t}',
+        '\t} else if (spotIndeces.x >= 0.0) {',
+        '\t\tvec4 spot = getSpot(spotIndeces.x);',
+        '\t\tif (spot.a >= 0.0) {',
+        '\t\t\tvColor = spot.rgb;',
+        '\t\t\tvSpotAlpha = (1.0 - spotBorder * spotWeights.x) * spot.a * globalSpotOpacity;',
+        '\t\t}',
+        '\t}'
+    ].join('\n'));
+
+    Scene3D.SPOTS_FRAGMENT_SHADER = 'varying float vSpotAlpha;\n' +
+        THREE.ShaderLib.lambert.fragmentShader.replace('vec4 diffuseColor = vec4( diffuse, opacity );', [
+            'if (vSpotAlpha <= 0.0) discard;',
+            '\tvec4 diffuseColor = vec4( diffuse, opacity * vSpotAlpha );'
+        ].join('\n'));
+
+    /**
+     * Lambert material that draws spots over the mesh. Blending it over the
+     * mesh gives the same result as mixing vertex colors with spot colors.
+     *
+     * @param {Object} spotUniforms Uniforms shared by all spots materials.
+     */
+    Scene3D._createSpotsMaterial = function(spotUniforms, opacity) {
+        var material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(THREE.ShaderLib.lambert.uniforms),
+            vertexShader: Scene3D.SPOTS_VERTEX_SHADER,
+            fragmentShader: Scene3D.SPOTS_FRAGMENT_SHADER,
+            vertexColors: THREE.VertexColors,
+            lights: true,
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        material.uniforms.diffuse.value.set(0xffffff);
+        material.uniforms.opacity.value = opacity;
+        for (var name in spotUniforms) {
+            material.uniforms[name] = spotUniforms[name];
+        }
+        return material;
+    };
+
+    /**
+     * Returns the texture (a new one if size doesn't fit) for spot data of
+     * |count| spots cleared with 0 (no value) and marked for uploading.
+     * Bytes rather than floats: float textures in the vertex shader are
+     * not available everywhere.
+     */
+    Scene3D._prepareSpotData = function(texture, count) {
+        var MAX_WIDTH = 1024;
+        var width = Math.max(1, Math.min(count, MAX_WIDTH));
+        var height = Math.max(1, Math.ceil(count / width));
+        if (!texture || texture.image.width != width || texture.image.height != height) {
+            if (texture) texture.dispose();
+            texture = new THREE.DataTexture(
+                new Uint8Array(width * height * 4), width, height, THREE.RGBAFormat, THREE.UnsignedByteType);
+        }
+        texture.image.data.fill(0);
+        texture.needsUpdate = true;
+        return texture;
+    };
+
+    /**
+     * Writes the spot color and opacity into spot data. Alpha 0 is reserved
+     * for spots with no value, 1..255 encode opacity.
+     */
+    Scene3D._packSpot = function(data, index, color, opacity) {
+        data[index * 4] = Math.round(color.r * 255);
+        data[index * 4 + 1] = Math.round(color.g * 255);
+        data[index * 4 + 2] = Math.round(color.b * 255);
+        data[index * 4 + 3] = 1 + Math.round(Math.max(0, Math.min(opacity, 1)) * 254);
+    };
+
+    Scene3D._createPicker = function() {
+        return {
+            worker: null,
+            ready: false,
+            queue: [],
+            geometry: null,
+            requests: {},
+            lastId: 0
+        };
+    };
+
     Scene3D._makeLightProperty = function(field) {
         return Scene3D._makeProxyProperty(field, ['intensity'], function() {
             this._notify(Scene3D.Events.CHANGE);
@@ -94,10 +261,13 @@ function(EventSource, SpotsController, THREE) {
                 var result = new Scene3D(this._spotsController);
                 result.frontLight = this.frontLight;
                 result.color = this.color;
+                result.useModelColors = this.useModelColors;
+                result.textureBlending = this.textureBlending;
                 result.backgroundColor = this.backgroundColor;
                 result.adjustment = this.adjustment;
                 result._meshMaterialName = this._meshMaterialName;
                 result._meshMaterials = this._meshMaterials.map(function (m) { return m.clone(); });
+                result.parts = this._parts;
                 result.geometry = this.geometry.clone();
                 result.mapping = this.mapping;
                 result.axisHelper = this.axisHelper;
@@ -105,6 +275,19 @@ function(EventSource, SpotsController, THREE) {
             }
         },
 
+        /**
+         * Releases the picking worker and stops following spotsController.
+         * For temporary clones (see clone).
+         */
+        dispose: {
+            value: function() {
+                for (var eventName in this._spotsListeners) {
+                    this._spotsController.removeEventListener(eventName, this._spotsListeners[eventName]);
+                }
+                this._resetPicker();
+            }
+        },
+
         frontLight: Scene3D._makeLightProperty('_frontLight'),
 
         color: {
@@ -121,6 +304,46 @@ function(EventSource, SpotsController, THREE) {
             }
         },
 
+        /**
+         * If true and the mesh has own vertex colors (the 'baseColor'
+         * attribute, PLY and glTF) they are used instead of |color|.
+         */
+        useModelColors: {
+            get: function() {
+                return this._useModelColors;
+            },
+
+            set: function(value) {
+                value = !!value;
+                if (this._useModelColors != value) {
+                    this._useModelColors = value;
+                    this._onGeometryColorChange();
+                }
+            }
+        },
+
+        /**
+         * If true textured materials are shown as is and spots are drawn
+         * over them with their opacity. Otherwise the texture is multiplied
+         * by the surface color.
+         */
+        textureBlending: {
+            get: function() {
+                return this._textureBlending;
+            },
+
+            set: function(value) {
+                value = !!value;
+                if (this._textureBlending != value) {
+                    this._textureBlending = value;
+                    if (this._mesh) {
+                        this._setMeshMaterial();
+                        this._notify(Scene3D.Events.CHANGE);
+                    }
+                }
+            }
+        },
+
         backgroundColor: {
             get: function() {
                 return '#' + this._backgroundColor.getHexString();
@@ -142,6 +365,15 @@ function(EventSource, SpotsController, THREE) {
         },
 
         _onGeometryColorChange: {
+            value: function () {
+                if (this._mesh) {
+                    this._updateBaseColors();
+                    this._notify(Scene3D.Events.CHANGE);
+                }
+            }
+        },
+
+        _onSpotsAttrChange: {
             value: function () {
                 if (this._mesh) {
                     this._recolor(Scene3D.RecoloringMode.NO_COLORMAP);
@@ -156,12 +388,51 @@ function(EventSource, SpotsController, THREE) {
                     this._mapping = null; // Mapping is obsolete.
                 }
                 if (this._mesh) {
+                    this._updateMappingAttributes();
                     this._recolor(Scene3D.RecoloringMode.USE_COLORMAP);
+                    this._updateSelectionMarkers();
+                    this._notify(Scene3D.Events.CHANGE);
+                }
+            }
+        },
+
+        _onSelectionChange: {
+            value: function () {
+                if (this._mesh) {
+                    this._updateSelectionMarkers();
                     this._notify(Scene3D.Events.CHANGE);
                 }
             }
         },
 
+        /**
+         * Marks positions of selected spots with points drawn over the mesh.
+         */
+        _updateSelectionMarkers: {
+            value: function () {
+                if (this._selectionMarkers) {
+                    this._meshContainer.remove(this._selectionMarkers);
+                    this._selectionMarkers = null;
+                }
+                var selection = this._spotsController.selection;
+                if (!this._mesh || !selection.length) return;
+
+                var positions = new Float32Array(selection.length * 3);
+                selection.forEach(function (spot, i) {
+                    positions[i * 3] = spot.x;
+                    positions[i * 3 + 1] = spot.y;
+                    positions[i * 3 + 2] = spot.z;
+                });
+                var geometry = new THREE.BufferGeometry();
+                geometry.addAttribute('position', new THREE.BufferAttribute(positions, 3));
+                this._selectionMarkers = new THREE.Points(geometry, this._selectionMaterial);
+                this._selectionMarkers.renderOrder = 2;
+                this._selectionMarkers.scale.copy(this._mesh.scale);
+                this._selectionMarkers.position.copy(this._mesh.position);
+                this._meshContainer.add(this._selectionMarkers);
+            }
+        },
+
         axisHelper: {
             get: function() {
                 return -1 != this._scene.children.indexOf(this._axisHelper);
@@ -217,8 +488,12 @@ function(EventSource, SpotsController, THREE) {
                 this._mapping = {
                     closestSpotIndeces: value.closestSpotIndeces,
                     closestSpotDistances: value.closestSpotDistances,
+                    neighbourCount: value.neighbourCount || 0,
+                    neighbourIndeces: value.neighbourIndeces || null,
+                    neighbourWeights: value.neighbourWeights || null,
                 };
                 if (this._mesh) {
+                    this._updateMappingAttributes();
                     this._recolor(value.recoloringMode);
                     this._notify(Scene3D.Events.CHANGE);
                 }
@@ -233,30 +508,270 @@ function(EventSource, SpotsController, THREE) {
             set: function(geometry) {
                 if (!this._mesh && !geometry) return;
                 if (this._mesh) this._meshContainer.remove(this._mesh);
+                if (this._lodMesh) this._meshContainer.remove(this._lodMesh);
+                this._lodMesh = null;
+                this._lodSourceIndeces = null;
                 this._mapping = null;
+                this._resetPicker();
                 if (geometry) {
                     geometry.computeBoundingBox();
-                    this._mesh = new THREE.Mesh(geometry, this._getMeshMaterial(this._meshMaterialName));
+                    this._mesh = new THREE.Mesh(geometry);
                     this._meshScaleFactor = this._MAX_MESH_SIZE / geometry.boundingBox.getSize().length();
                     // bounding box is invalid after the scaling below. Needs to be recomputed for further use
                     this._mesh.scale.set(this._meshScaleFactor, this._meshScaleFactor, this._meshScaleFactor);
                     this._mesh.position.copy(geometry.boundingBox.getCenter().negate().multiplyScalar(this._meshScaleFactor));
                     this._meshContainer.add(this._mesh);
                     this._applyAdjustment();
-                    this._recolor();
+                    this._setMeshMaterial();
+                    this._updateBaseColors();
+                    this._updateMappingAttributes();
+                    this._recolor(Scene3D.RecoloringMode.NO_COLORMAP);
+                    this._updateSelectionMarkers();
                 } else {
                     this._mesh = null;
+                    this._updateSelectionMarkers();
+                    this._parts = [];
+                    this._partProxies = null;
                 }
+                this._notify(Scene3D.Events.PARTS_CHANGE);
                 this._notify(Scene3D.Events.CHANGE);
             }
         },
 
+        /**
+         * Sets simplified version of the geometry for rendering while the view
+         * is being rotated. Should be set after the geometry.
+         *
+         * @param {THREE.BufferGeometry} geometry Non-indexed geometry with
+         *        groups corresponding to parts.
+         * @param {Uint32Array} sourceIndeces Index of the vertex of the full
+         *        geometry each vertex takes color from.
+         */
+        setLowDetailGeometry: {
+            value: function(geometry, sourceIndeces) {
+                if (this._lodMesh) this._meshContainer.remove(this._lodMesh);
+                this._lodMesh = new THREE.Mesh(geometry, this._mesh.material);
+                this._lodMesh.scale.copy(this._mesh.scale);
+                this._lodMesh.position.copy(this._mesh.position);
+                this._lodMesh.visible = false;
+                this._lodSourceIndeces = sourceIndeces;
+                this._meshContainer.add(this._lodMesh);
+                this._updateOverlay();
+                this._copyToLowDetail('color');
+                this._copyToLowDetail('spotIndeces');
+                this._copyToLowDetail('spotWeights');
+            }
+        },
+
+        /**
+         * Copies values of the attribute of the full geometry to the
+         * simplified one.
+         */
+        _copyToLowDetail: {
+            value: function(name) {
+                if (!this._lodMesh) return;
+                var source = this._mesh.geometry.getAttribute(name);
+                var geometry = this._lodMesh.geometry;
+                var sourceIndeces = this._lodSourceIndeces;
+                var itemSize = source.itemSize;
+                if (!geometry.getAttribute(name)) {
+                    geometry.addAttribute(name, new THREE.BufferAttribute(
+                        new Float32Array(sourceIndeces.length * itemSize), itemSize));
+                }
+                var array = geometry.getAttribute(name).array;
+                for (var i = 0; i < sourceIndeces.length; i++) {
+                    for (var k = 0; k < itemSize; k++) {
+                        array[i * itemSize + k] = source.array[sourceIndeces[i] * itemSize + k];
+                    }
+                }
+                geometry.getAttribute(name).needsUpdate = true;
+            }
+        },
+
         materialName: {
             set: function (materialName) {
                 this._meshMaterialName = materialName || null;
             }
         },
 
+        /**
+         * Parts of the mesh. Should be set before the geometry. Each part
+         * is {name, materialName, start, count} where start and count
+         * define range of the index (or of vertices if the geometry is not
+         * indexed). The getter returns objects for
+         * controlling parts ('name', 'visible', 'opacity' and 'color').
+         * Parts with no color set use |color| of the scene.
+         */
+        parts: {
+            get: function() {
+                if (!this._partProxies) {
+                    this._partProxies = this._parts.map(function(part, index) {
+                        var setter = function(key, value) {
+                            this._setPartProperty(index, key, value);
+                        };
+                        return Object.create(null, {
+                            name: {
+                                value: part.name,
+                                enumerable: true
+                            },
+                            visible: {
+                                get: function() {
+                                    return part.visible;
+                                },
+                                set: setter.bind(this, 'visible'),
+                                enumerable: true
+                            },
+                            opacity: {
+                                get: function() {
+                                    if (part.opacity !== null) return part.opacity;
+                                    return this._getMeshMaterial(part.materialName).opacity;
+                                }.bind(this),
+                                set: setter.bind(this, 'opacity'),
+                                enumerable: true
+                            },
+                            color: {
+                                get: function() {
+                                    return '#' + (part.color || this._color).getHexString();
+                                }.bind(this),
+                                set: setter.bind(this, 'color'),
+                                enumerable: true
+                            }
+                        });
+                    }, this);
+                }
+                return this._partProxies;
+            },
+
+            set: function(parts) {
+                this._parts = (parts || []).map(function(part) {
+                    return {
+                        name: part.name,
+                        materialName: part.materialName || null,
+                        start: part.start,
+                        count: part.count,
+                        visible: part.visible !== false,
+                        opacity: part.opacity === undefined ? null : part.opacity,
+                        color: part.color ? new THREE.Color(part.color) : null
+                    };
+                });
+                this._partProxies = null;
+            }
+        },
+
+        /**
+         * Sets |parts| of the reloaded mesh (for instance with another
+         * decimation). Visibility, opacity and color of previous parts are
+         * kept for parts with the same names (repeating names are matched
+         * in order).
+         */
+        setReloadedParts: {
+            value: function(parts) {
+                var previous = Object.create(null);
+                this._parts.forEach(function(part) {
+                    (previous[part.name] = previous[part.name] || []).push(part);
+                });
+                this.parts = (parts || []).map(function(part) {
+                    var old = previous[part.name] && previous[part.name].shift();
+                    if (!old) return part;
+                    return {
+                        name: part.name,
+                        materialName: part.materialName,
+                        start: part.start,
+                        count: part.count,
+                        visible: old.visible,
+                        opacity: old.opacity,
+                        color: old.color
+                    };
+                });
+            }
+        },
+
+        _setPartProperty: {
+            value: function(index, key, value) {
+                var part = this._parts[index];
+                if (key == 'color') {
+                    var color = new THREE.Color(value);
+                    if (part.color && part.color.equals(color)) return;
+                    part.color = color;
+                    if (this._mesh) this._updateBaseColors();
+                } else {
+                    value = key == 'visible' ? !!value : Number(value);
+                    if (part[key] === value) return;
+                    part[key] = value;
+                    if (this._mesh) {
+                        this._applyPartMaterial(this._mesh.material.materials[index], part);
+                        this._updateOverlay();
+                    }
+                }
+                if (this._mesh) this._notify(Scene3D.Events.CHANGE);
+            }
+        },
+
+        _applyPartMaterial: {
+            value: function(material, part) {
+                material.visible = part.visible;
+                if (part.opacity !== null) {
+                    material.opacity = part.opacity;
+                    material.transparent = true;
+                }
+            }
+        },
+
+        _setMeshMaterial: {
+            value: function() {
+                this._mesh.material = this._createMeshMaterial(this._mesh.geometry);
+                if (this._lodMesh) this._lodMesh.material = this._mesh.material;
+                this._updateOverlay();
+            }
+        },
+
+        /**
+         * Spots are drawn by overlay meshes that share geometry with the main
+         * (and the simplified) mesh. Their spots materials compute colors on
+         * the GPU, so recoloring only updates the spot data texture.
+         */
+        _updateOverlay: {
+            value: function() {
+                [this._mesh, this._lodMesh].forEach(function(mesh) {
+                    if (mesh && mesh.userData.overlay) mesh.remove(mesh.userData.overlay);
+                });
+                var overlayMaterial = Scene3D._createSpotsMaterial(this._spotUniforms, 1.0);
+                if (this._parts.length) {
+                    overlayMaterial = new THREE.MultiMaterial(this._parts.map(function(part) {
+                        var result = Scene3D._createSpotsMaterial(
+                            this._spotUniforms, part.opacity === null ? 1.0 : part.opacity);
+                        result.visible = part.visible;
+                        return result;
+                    }, this));
+                }
+                [this._mesh, this._lodMesh].forEach(function(mesh) {
+                    if (!mesh) return;
+                    mesh.userData.overlay = new THREE.Mesh(mesh.geometry, overlayMaterial);
+                    mesh.userData.overlay.renderOrder = 1; // After the mesh.
+                    mesh.add(mesh.userData.overlay);
+                });
+            }
+        },
+
+        /**
+         * Creates a material for the whole mesh or a multimaterial with
+         * a material per part (parts become groups of the geometry).
+         */
+        _createMeshMaterial: {
+            value: function(geometry) {
+                if (!this._parts.length) {
+                    return this._getMeshMaterial(this._meshMaterialName);
+                }
+                geometry.clearGroups();
+                return new THREE.MultiMaterial(this._parts.map(function(part, index) {
+                    geometry.addGroup(part.start, part.count, index);
+                    var material = this._getMeshMaterial(part.materialName).clone();
+                    this._applyPartMaterial(material, part);
+                    return material;
+                }, this));
+            }
+        },
+
         _getMeshMaterial: {
             value: function (materialName) {
                 var result = undefined;
@@ -265,7 +780,11 @@ function(EventSource, SpotsController, THREE) {
                         return material.name === materialName;
                     });
                     if (result) {
-                        result.vertexColors = THREE.VertexColors;
+                        var vertexColors = result.map && this._textureBlending ? THREE.NoColors : THREE.VertexColors;
+                        if (result.vertexColors != vertexColors) {
+                            result.vertexColors = vertexColors;
+                            result.needsUpdate = true;
+                        }
                     }
                 }
                 return result || this._defaultMeshMaterial;
@@ -275,8 +794,9 @@ function(EventSource, SpotsController, THREE) {
         materials: {
             set: function (materials) {
                 this._meshMaterials = materials;
-                if (this._mesh && this._meshMaterialName) {
-                    this._mesh.material = this._getMeshMaterial(this._meshMaterialName);
+                if (this._mesh) {
+                    this._setMeshMaterial();
+                    this._notify(Scene3D.Events.CHANGE);
                 }
             }
         },
@@ -287,58 +807,75 @@ function(EventSource, SpotsController, THREE) {
             }
         },
 
+        /**
+         * @param {Boolean} lowDetail Render the simplified mesh if there is
+         *                  one (while the view is being rotated).
+         * @param {THREE.DataTexture} spotData Spot colors to use instead of
+         *                  colors of the active map (see updateSpotData).
+         */
         render: {
-            value: function(renderer, camera) {
+            value: function(renderer, camera, lowDetail, spotData) {
                 this._frontLight.position.set(camera.position.x, camera.position.y, camera.position.z);
+                if (spotData) this._spotUniforms.spotData.value = spotData;
+                var useLod = !!(lowDetail && this._lodMesh);
+                if (useLod) {
+                    this._mesh.visible = false;
+                    this._lodMesh.visible = true;
+                }
                 renderer.render(this._scene, camera);
+                if (useLod) {
+                    this._mesh.visible = true;
+                    this._lodMesh.visible = false;
+                }
+                this._spotUniforms.spotData.value = this._spotData;
             }
         },
 
+        /**
+         * Finds the spot under the ray. Picking runs in a persistent worker
+         * which gets the geometry once (see _postToPicker).
+         *
+         * @return {Promise} Resolves to the spot or undefined. Has 'cancel'
+         *                   method. Null if there is nothing to pick.
+         */
         raycast: {
             value: function(raycaster) {
                 if (!this._mesh || !this._spotsController.spots || !this._mapping) {
                     return null;
                 }
-                var message = {
-                    positions: this._mesh.geometry.attributes.position.array,
+                this._postGeometryToPicker();
+
+                var id = ++this._picker.lastId;
+                this._postToPicker({
+                    action: 'raycast',
+                    id: id,
+                    hiddenRanges: this._hiddenRanges(),
                     origin: new THREE.Vector3().copy(raycaster.ray.origin),
                     direction: new THREE.Vector3().copy(raycaster.ray.direction),
                     matrixWorld: new THREE.Matrix4().copy(this._mesh.matrixWorld),
-                };
+                });
                 var closestSpotIndeces = this._mapping.closestSpotIndeces;
                 var spots = this._spotsController.spots;
-                var worker = new Worker(require.toUrl('js/workers/Raycaster.js'));
+                var requests = this._picker.requests;
 
                 var promise = new Promise(function(accept, reject) {
-                    worker.onmessage = function(event) {
-                        if (!event.data) {
-                            return;
-                        }
-                        if (event.data.status == 'ready') {
-                            worker.postMessage(message);
-                        } else if (event.data.status == 'completed') {
-                            worker.terminate();
-                            var face = event.data;
+                    requests[id] = {
+                        accept: function(data) {
+                            var face = data.face;
                             var spotIndex = -1;
-                            for (var i in (face || {})) {
-                                if (closestSpotIndeces[face[i]] >= 0) {
-                                    spotIndex = closestSpotIndeces[face[i]];
-                                    break;
-                                }
-                            }
+                            (face ? [face.a, face.b, face.c] : []).some(function(vertex) {
+                                spotIndex = closestSpotIndeces[vertex];
+                                return spotIndex >= 0;
+                            });
                             accept(spots[spotIndex]);
-                        }
-                    };
-                    worker.onerror = function(event) {
-                        console.log('Reycasting failed', event);
-                        worker.terminate();
-                        reject();
+                        },
+                        reject: reject
                     };
                 });
 
                 Object.defineProperty(promise, 'cancel', {
                     value: function() {
-                        worker.terminate();
+                        delete requests[id];
                     }
                 });
 
@@ -346,6 +883,147 @@ function(EventSource, SpotsController, THREE) {
             }
         },
 
+        /**
+         * Filters spots which are not hidden by the mesh when looking from
+         * |eye|. A spot is hidden if the mesh is hit closer than the spot's
+         * radius in front of it.
+         *
+         * @param {THREE.Vector3} eye Camera position in world coordinates.
+         * @return {Promise} Resolves to visible spots.
+         */
+        findVisibleSpots: {
+            value: function(spots, eye) {
+                if (!this._mesh || !spots.length) return Promise.resolve(spots);
+                this._postGeometryToPicker();
+
+                var points = new Float32Array(spots.length * 3);
+                var tolerances = new Float32Array(spots.length);
+                var globalSpotScale = this._spotsController.globalSpotScale;
+                spots.forEach(function(spot, i) {
+                    points[i * 3] = spot.x;
+                    points[i * 3 + 1] = spot.y;
+                    points[i * 3 + 2] = spot.z;
+                    tolerances[i] = spot.r * spot.scale * globalSpotScale;
+                });
+                var inverseMatrix = new THREE.Matrix4().getInverse(this._mesh.matrixWorld);
+                var id = ++this._picker.lastId;
+                this._postToPicker({
+                    action: 'visibility',
+                    id: id,
+                    hiddenRanges: this._hiddenRanges(),
+                    eye: new THREE.Vector3().copy(eye).applyMatrix4(inverseMatrix),
+                    points: points,
+                    tolerances: tolerances
+                }, [points.buffer, tolerances.buffer]);
+
+                var requests = this._picker.requests;
+                return new Promise(function(accept, reject) {
+                    requests[id] = {
+                        accept: function(data) {
+                            accept(spots.filter(function(spot, i) {
+                                return data.visible[i];
+                            }));
+                        },
+                        reject: reject
+                    };
+                });
+            }
+        },
+
+        /**
+         * Sends the current geometry to the picking worker if it hasn't
+         * got it yet. Copies are transferred to the worker.
+         */
+        _postGeometryToPicker: {
+            value: function() {
+                var geometry = this._mesh.geometry;
+                if (this._picker.geometry === geometry) return;
+                this._picker.geometry = geometry;
+                var positions = geometry.attributes.position.array.slice();
+                var index = geometry.index ? geometry.index.array.slice() : null;
+                this._postToPicker({
+                    action: 'geometry',
+                    positions: positions,
+                    index: index
+                }, index ? [positions.buffer, index.buffer] : [positions.buffer]);
+            }
+        },
+
+        /**
+         * @return {Array} [start, end) ranges of hidden parts for picking.
+         */
+        _hiddenRanges: {
+            value: function() {
+                return this._parts.filter(function(part) {
+                    return !part.visible;
+                }).map(function(part) {
+                    return [part.start, part.start + part.count];
+                });
+            }
+        },
+
+        /**
+         * Sends the message to the picking worker starting it if needed.
+         * Messages are queued until the worker is ready.
+         *
+         * @param {Array} transfer Transferable objects of the message.
+         */
+        _postToPicker: {
+            value: function(message, transfer) {
+                var picker = this._picker;
+                if (!picker.worker) {
+                    picker.worker = new Worker(require.toUrl('js/workers/Raycaster.js'));
+                    picker.worker.onmessage = this._onPickerMessage.bind(this);
+                    picker.worker.onerror = this._onPickerError.bind(this);
+                }
+                if (picker.ready) {
+                    picker.worker.postMessage(message, transfer || []);
+                } else {
+                    picker.queue.push({message: message, transfer: transfer || []});
+                }
+            }
+        },
+
+        _onPickerMessage: {
+            value: function(event) {
+                var picker = this._picker;
+                if (event.data.status == 'ready') {
+                    picker.ready = true;
+                    picker.queue.forEach(function(item) {
+                        picker.worker.postMessage(item.message, item.transfer);
+                    });
+                    picker.queue = [];
+                } else if (event.data.status == 'completed') {
+                    var request = picker.requests[event.data.id];
+                    if (!request) return; // Cancelled.
+                    delete picker.requests[event.data.id];
+                    request.accept(event.data);
+                }
+            }
+        },
+
+        _onPickerError: {
+            value: function(event) {
+                console.log('Raycasting failed', event);
+                this._resetPicker();
+            }
+        },
+
+        /**
+         * Terminates the picking worker (it holds a copy of the geometry)
+         * rejecting pending requests. Next raycast starts a new one.
+         */
+        _resetPicker: {
+            value: function() {
+                var picker = this._picker;
+                this._picker = Scene3D._createPicker();
+                if (picker.worker) picker.worker.terminate();
+                for (var id in picker.requests) {
+                    picker.requests[id].reject();
+                }
+            }
+        },
+
         spotToWorld: {
             value: function(spot) {
                 if (!this._mesh) {
@@ -357,36 +1035,27 @@ function(EventSource, SpotsController, THREE) {
             }
         },
 
-        _recolor: {
-            value: function(recoloringMode) {
-                var startTime = new Date();
+        /**
+         * Fills the 'color' attribute with model colors or |color| of the
+         * scene and colors of parts. Spots are drawn over it.
+         */
+        _updateBaseColors: {
+            value: function() {
                 var geometry = this.geometry;
-                var mapping = this.mapping;
-                var spots = this._spotsController.spots;
-                var globalSpotsOpacity = this._spotsController.globalSpotOpacity;
-
                 var position = geometry.getAttribute('position');
                 var positionCount = position.array.length / position.itemSize;
 
-                if (mapping && recoloringMode === Scene3D.RecoloringMode.USE_COLORMAP) {
-                    var colorMap = this._spotsController.colorMap;
-                    var currentSpot = null;
-                    for (var i = 0; i < spots.length; i++) {
-                        currentSpot = spots[i];
-                        if (!isNaN(currentSpot.intensity)) {
-                            colorMap.map(currentSpot.color, currentSpot.intensity);
-                        }
-                    }
-                }
-
                 if (!geometry.getAttribute('color')) {
                     geometry.addAttribute('color', new THREE.BufferAttribute(
                         new Float32Array(positionCount * 3), 3));
                 }
                 var color = geometry.getAttribute('color').array;
 
-                // Fill |color| with this._color.
-                if (positionCount) {
+                var baseColor = geometry.getAttribute('baseColor');
+                if (this._useModelColors && baseColor) {
+                    color.set(baseColor.array);
+                } else if (positionCount) {
+                    // Fill |color| with this._color.
                     var CHUNK_SIZE = 64;
                     var last = 0;
                     if (positionCount > CHUNK_SIZE) {
@@ -403,30 +1072,128 @@ function(EventSource, SpotsController, THREE) {
                     }
                 }
 
-                if (mapping) {
-                    var spotBorder = 1.0 - this._spotsController.spotBorder;
-                    var closestSpotIndeces = mapping.closestSpotIndeces;
-                    var closestSpotDistances = mapping.closestSpotDistances;
+                var triangles = geometry.index ? geometry.index.array : null;
+                for (var i = 0; i < this._parts.length; i++) {
+                    var part = this._parts[i];
+                    if (!part.color) continue;
+                    for (var j = part.start, end = part.start + part.count; j < end; j++) {
+                        part.color.toArray(color, (triangles ? triangles[j] : j) * 3);
+                    }
+                }
+
+                geometry.getAttribute('color').needsUpdate = true;
+                this._copyToLowDetail('color');
+            }
+        },
+
+        /**
+         * Stores the mapping in per vertex attributes of the spots shader.
+         * Only needed when the mapping changes.
+         */
+        _updateMappingAttributes: {
+            value: function() {
+                var geometry = this.geometry;
+                var positionCount = geometry.getAttribute('position').count;
+                var MAX_NEIGHBOURS = Scene3D.MAX_NEIGHBOURS;
+                if (!geometry.getAttribute('spotIndeces')) {
+                    geometry.addAttribute('spotIndeces', new THREE.BufferAttribute(
+                        new Float32Array(positionCount * MAX_NEIGHBOURS), MAX_NEIGHBOURS));
+                    geometry.addAttribute('spotWeights', new THREE.BufferAttribute(
+                        new Float32Array(positionCount * MAX_NEIGHBOURS), MAX_NEIGHBOURS));
+                }
+                var indeces = geometry.getAttribute('spotIndeces').array;
+                var weights = geometry.getAttribute('spotWeights').array;
+                var mapping = this._mapping;
+                indeces.fill(-1);
+                weights.fill(0);
+
+                if (mapping && mapping.neighbourCount) {
+                    var count = mapping.neighbourCount;
                     for (var i = 0; i < positionCount; i++) {
-                        var index = closestSpotIndeces[i];
-                        if (index >= 0) {
-                            var spot = spots[index];
-                            if (!isNaN(spot.intensity)) {
-                                var alpha = (1.0 - spotBorder * closestSpotDistances[i]) * spot.opacity * globalSpotsOpacity;
-                                var base = i * 3;
-                                color[base + 0] += (spot.color.r - color[base + 0]) * alpha;
-                                color[base + 1] += (spot.color.g - color[base + 1]) * alpha;
-                                color[base + 2] += (spot.color.b - color[base + 2]) * alpha;
-                            }
+                        for (var j = 0; j < Math.min(count, MAX_NEIGHBOURS); j++) {
+                            indeces[i * MAX_NEIGHBOURS + j] = mapping.neighbourIndeces[i * count + j];
+                            weights[i * MAX_NEIGHBOURS + j] = mapping.neighbourWeights[i * count + j];
                         }
                     }
+                } else if (mapping) {
+                    for (var i = 0; i < positionCount; i++) {
+                        indeces[i * MAX_NEIGHBOURS] = mapping.closestSpotIndeces[i];
+                        weights[i * MAX_NEIGHBOURS] = mapping.closestSpotDistances[i];
+                    }
                 }
+                this._spotUniforms.interpolation.value = !!(mapping && mapping.neighbourCount);
 
-                geometry.getAttribute('color').needsUpdate = true;
+                geometry.getAttribute('spotIndeces').needsUpdate = true;
+                geometry.getAttribute('spotWeights').needsUpdate = true;
+                this._copyToLowDetail('spotIndeces');
+                this._copyToLowDetail('spotWeights');
+            }
+        },
+
+        /**
+         * Updates colors of spots (applying the color map if needed) and
+         * uniforms of the spots shader. Doesn't touch vertices of the mesh.
+         */
+        _recolor: {
+            value: function(recoloringMode) {
+                var spots = this._spotsController.spots || [];
+
+                if (this._mapping && recoloringMode === Scene3D.RecoloringMode.USE_COLORMAP) {
+                    var currentSpot = null;
+                    for (var i = 0; i < spots.length; i++) {
+                        currentSpot = spots[i];
+                        if (!isNaN(currentSpot.intensity)) {
+                            this._spotsController.mapColor(currentSpot.color, currentSpot);
+                        }
+                    }
+                }
+
+                this._updateSpotData(spots);
+                this._spotUniforms.spotBorder.value = 1.0 - this._spotsController.spotBorder;
+                this._spotUniforms.globalSpotOpacity.value = this._spotsController.globalSpotOpacity;
+            }
+        },
 
-                var endTime = new Date();
-                console.log('Recoloring time: ' +
-                    (endTime.valueOf() - startTime.valueOf()) / 1000);
+        /**
+         * Writes RGB colors and opacities of spots into the spot data texture
+         * (see Scene3D._packSpot).
+         */
+        _updateSpotData: {
+            value: function(spots) {
+                this._spotData = Scene3D._prepareSpotData(this._spotData, spots.length);
+                this._spotUniforms.spotData.value = this._spotData;
+                this._spotUniforms.spotDataSize.value.set(this._spotData.image.width, this._spotData.image.height);
+                var data = this._spotData.image.data;
+                for (var i = 0; i < spots.length; i++) {
+                    var spot = spots[i];
+                    if (isNaN(spot.intensity)) continue;
+                    Scene3D._packSpot(data, i, spot.color, spot.opacity);
+                }
+            }
+        },
+
+        /**
+         * Spot data texture (see _updateSpotData) for coloring spots with
+         * other intensities than the active map has. Used to render views
+         * bound to other maps.
+         *
+         * @param {THREE.DataTexture} texture Texture to reuse (optional).
+         * @param {Float64Array} intensities Intensity of each spot.
+         * @param {ColorMap} colorMap
+         * @return {THREE.DataTexture}
+         */
+        updateSpotData: {
+            value: function(texture, intensities, colorMap) {
+                var spots = this._spotsController.spots || [];
+                texture = Scene3D._prepareSpotData(texture, spots.length);
+                var data = texture.image.data;
+                var color = new THREE.Color();
+                for (var i = 0; i < spots.length; i++) {
+                    if (isNaN(intensities[i])) continue;
+                    colorMap.map(color, intensities[i]);
+                    Scene3D._packSpot(data, i, color, this._spotsController.opacityFor(spots[i], intensities[i]));
+                }
+                return texture;
             }
         },
 
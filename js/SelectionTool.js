@@ -0,0 +1,134 @@
+'use strict';
+
+define([],
+function() {
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+
+    /**
+     * Mouse action drawing a rectangle or a lasso over the container. Follows
+     * the mouse until the button is released and then calls |onComplete|
+     * with the tool. Use 'contains' to test points against the drawn shape.
+     *
+     * @param {HTMLElement} container Element the shape is drawn in. Points
+     *        are in coordinates relative to it.
+     * @param {SelectionTool.Shape} shape
+     * @param {Function} onComplete
+     */
+    function SelectionTool(container, shape, onComplete) {
+        this._container = container;
+        this._shape = shape;
+        this._onComplete = onComplete;
+        this._origin = null;
+        this._points = [];
+        this._svg = null;
+        this._polygon = null;
+        this._handlers = {
+            'mousemove': this._onMouseMove.bind(this),
+            'mouseup': this._onMouseUp.bind(this),
+        };
+    }
+
+    SelectionTool.Shape = {
+        RECTANGLE: 'rectangle',
+        LASSO: 'lasso'
+    };
+
+    SelectionTool.prototype = Object.create(null, {
+        /**
+         * Vertices of the drawn polygon ({x, y}).
+         */
+        points: {
+            get: function() {
+                return this._points;
+            }
+        },
+
+        start: {
+            value: function(event) {
+                this._origin = this._toLocal(event);
+                this._points = [this._origin];
+
+                this._svg = document.createElementNS(SVG_NS, 'svg');
+                this._svg.setAttribute('class', 'SelectionTool');
+                this._polygon = document.createElementNS(SVG_NS, 'polygon');
+                this._svg.appendChild(this._polygon);
+                this._container.appendChild(this._svg);
+
+                for (var i in this._handlers) {
+                    document.addEventListener(i, this._handlers[i], false);
+                }
+            }
+        },
+
+        stop: {
+            value: function() {
+                for (var i in this._handlers) {
+                    document.removeEventListener(i, this._handlers[i]);
+                }
+                this._container.removeChild(this._svg);
+                this._svg = null;
+                this._polygon = null;
+            }
+        },
+
+        /**
+         * Point in polygon test (even-odd rule).
+         */
+        contains: {
+            value: function(x, y) {
+                var points = this._points;
+                var result = false;
+                for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    var a = points[i];
+                    var b = points[j];
+                    if ((a.y > y) != (b.y > y) &&
+                            x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                        result = !result;
+                    }
+                }
+                return result;
+            }
+        },
+
+        _toLocal: {
+            value: function(event) {
+                var rect = this._container.getBoundingClientRect();
+                return {x: event.pageX - rect.left, y: event.pageY - rect.top};
+            }
+        },
+
+        _onMouseMove: {
+            value: function(event) {
+                var point = this._toLocal(event);
+                if (this._shape == SelectionTool.Shape.RECTANGLE) {
+                    var origin = this._origin;
+                    this._points = [
+                        origin,
+                        {x: point.x, y: origin.y},
+                        point,
+                        {x: origin.x, y: point.y}
+                    ];
+                } else {
+                    this._points.push(point);
+                }
+                this._polygon.setAttribute('points', this._points.map(function(p) {
+                    return p.x + ',' + p.y;
+                }).join(' '));
+
+                event.stopPropagation();
+                event.preventDefault();
+            }
+        },
+
+        _onMouseUp: {
+            value: function(event) {
+                this.stop();
+                event.stopPropagation();
+                event.preventDefault();
+                this._onComplete(this);
+            }
+        }
+    });
+
+    return SelectionTool;
+});
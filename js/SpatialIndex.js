@@ -0,0 +1,306 @@
+'use strict';
+
+define([],
+function() {
+    /**
+     * Uniform grid over spot spheres. Each spot is registered in every cell
+     * its bounding cube overlaps, so a point query only has to test spots
+     * of a single cell instead of all of them.
+     *
+     * @param {Array<Object>} spots Spots with x, y, z, r and scale fields.
+     * @param {Number} globalSpotScale Scale applied to all spots.
+     */
+    function SpatialIndex(spots, globalSpotScale) {
+        this._spots = spots;
+        this._radii = new Float32Array(spots.length);
+        this._min = [Infinity, Infinity, Infinity];
+        this._max = [-Infinity, -Infinity, -Infinity];
+        this._cellSize = 0;
+        this._size = [0, 0, 0];
+        this._cellStart = null;
+        this._cellItems = null;
+        this._stamps = new Int32Array(spots.length);
+        this._stamp = 0;
+
+        var radiusSum = 0;
+        var indexedCount = 0;
+        for (var i = 0; i < spots.length; i++) {
+            var s = spots[i];
+            var r = s.r * s.scale * globalSpotScale;
+            if (!(r > 0) || !isFinite(s.x) || !isFinite(s.y) || !isFinite(s.z)) {
+                this._radii[i] = NaN; // Never matches any point.
+                continue;
+            }
+            this._radii[i] = r;
+            radiusSum += r;
+            indexedCount++;
+            this._extendBounds(s.x - r, s.y - r, s.z - r);
+            this._extendBounds(s.x + r, s.y + r, s.z + r);
+        }
+
+        if (indexedCount) {
+            this._build(2 * radiusSum / indexedCount, indexedCount);
+        }
+    }
+
+    /**
+     * Upper limit for the number of cells. Keeps memory usage moderate
+     * when spots are small relatively to the model.
+     */
+    SpatialIndex.MAX_CELLS = 1 << 21;
+
+    SpatialIndex.prototype = Object.create(null, {
+        spotCount: {
+            get: function() {
+                return this._spots.length;
+            }
+        },
+
+        /**
+         * @return {Number} Radius of the spot with scaling applied (NaN if
+         *                  the spot can't be matched).
+         */
+        radius: {
+            value: function(index) {
+                return this._radii[index];
+            }
+        },
+
+        /**
+         * Finds the spot whose center is the closest to the given point
+         * among spots that contain the point.
+         *
+         * @param {Object} result Out parameter. Gets 'index' (-1 if there is
+         *                        no such spot) and 'squareDistance' fields.
+         * @return {Number} Index of the spot.
+         */
+        findClosest: {
+            value: function(x, y, z, result) {
+                result.index = -1;
+                result.squareDistance = Infinity;
+
+                var cell = this._cellOf(x, y, z);
+                if (cell < 0) return -1;
+
+                var spots = this._spots;
+                for (var i = this._cellStart[cell], end = this._cellStart[cell + 1]; i < end; i++) {
+                    var index = this._cellItems[i];
+                    var spot = spots[index];
+                    var r = this._radii[index];
+
+                    var dx = spot.x - x;
+                    var dy = spot.y - y;
+                    var dz = spot.z - z;
+                    var rsq = dx * dx + dy * dy + dz * dz;
+
+                    if (rsq > r * r) continue;
+
+                    if (rsq < result.squareDistance) {
+                        result.squareDistance = rsq;
+                        result.index = index;
+                    }
+                }
+                return result.index;
+            }
+        },
+
+        /**
+         * Calls |callback(index, squareDistance)| for each spot that contains
+         * the given point.
+         */
+        forEachContaining: {
+            value: function(x, y, z, callback) {
+                var cell = this._cellOf(x, y, z);
+                if (cell < 0) return;
+
+                var spots = this._spots;
+                for (var i = this._cellStart[cell], end = this._cellStart[cell + 1]; i < end; i++) {
+                    var index = this._cellItems[i];
+                    var spot = spots[index];
+                    var r = this._radii[index];
+
+                    var dx = spot.x - x;
+                    var dy = spot.y - y;
+                    var dz = spot.z - z;
+                    var rsq = dx * dx + dy * dy + dz * dz;
+
+                    if (rsq <= r * r) {
+                        callback(index, rsq);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Finds up to |count| spots with the closest centers regardless of
+         * their radii.
+         *
+         * @param {Int32Array} indeces Out parameter. Gets spot indeces
+         *                     ordered by distance.
+         * @param {Float32Array} squareDistances Out parameter.
+         * @return {Number} Number of found spots.
+         */
+        findNearest: {
+            value: function(x, y, z, count, indeces, squareDistances) {
+                if (!this._cellStart || count <= 0) return 0;
+
+                if (++this._stamp == 0x7fffffff) {
+                    this._stamps.fill(0);
+                    this._stamp = 1;
+                }
+
+                var cx = Math.floor((x - this._min[0]) / this._cellSize);
+                var cy = Math.floor((y - this._min[1]) / this._cellSize);
+                var cz = Math.floor((z - this._min[2]) / this._cellSize);
+                var sx = this._size[0], sy = this._size[1], sz = this._size[2];
+                var found = 0;
+
+                for (var ring = 0; ; ring++) {
+                    for (var gz = Math.max(0, cz - ring); gz <= Math.min(sz - 1, cz + ring); gz++) {
+                        for (var gy = Math.max(0, cy - ring); gy <= Math.min(sy - 1, cy + ring); gy++) {
+                            var shell = Math.abs(gz - cz) == ring || Math.abs(gy - cy) == ring;
+                            var gxEnd = Math.min(sx - 1, cx + ring);
+                            for (var gx = Math.max(0, cx - ring); gx <= gxEnd; gx++) {
+                                // Inner rows of the ring only have cells at the ends.
+                                if (!shell && gx > cx - ring && gx < cx + ring) {
+                                    gx = cx + ring;
+                                    if (gx > gxEnd) break;
+                                }
+                                found = this._collectNearest((gz * sy + gy) * sx + gx,
+                                        x, y, z, count, found, indeces, squareDistances);
+                            }
+                        }
+                    }
+
+                    // Spots that haven't been seen yet are at least |ring| cells away.
+                    var bound = ring * this._cellSize;
+                    if (found == count && squareDistances[found - 1] <= bound * bound) break;
+                    if (cx - ring <= 0 && cx + ring >= sx - 1 &&
+                            cy - ring <= 0 && cy + ring >= sy - 1 &&
+                            cz - ring <= 0 && cz + ring >= sz - 1) {
+                        break;
+                    }
+                }
+                return found;
+            }
+        },
+
+        _collectNearest: {
+            value: function(cell, x, y, z, count, found, indeces, squareDistances) {
+                var spots = this._spots;
+                for (var i = this._cellStart[cell], end = this._cellStart[cell + 1]; i < end; i++) {
+                    var index = this._cellItems[i];
+                    if (this._stamps[index] == this._stamp) continue;
+                    this._stamps[index] = this._stamp;
+
+                    var spot = spots[index];
+                    var dx = spot.x - x;
+                    var dy = spot.y - y;
+                    var dz = spot.z - z;
+                    var rsq = dx * dx + dy * dy + dz * dz;
+
+                    if (found == count && rsq >= squareDistances[found - 1]) continue;
+
+                    // Insertion into the ordered list of the closest spots.
+                    var j = found < count ? found++ : found - 1;
+                    for (; j > 0 && squareDistances[j - 1] > rsq; j--) {
+                        indeces[j] = indeces[j - 1];
+                        squareDistances[j] = squareDistances[j - 1];
+                    }
+                    indeces[j] = index;
+                    squareDistances[j] = rsq;
+                }
+                return found;
+            }
+        },
+
+        _extendBounds: {
+            value: function(x, y, z) {
+                this._min[0] = Math.min(this._min[0], x);
+                this._min[1] = Math.min(this._min[1], y);
+                this._min[2] = Math.min(this._min[2], z);
+                this._max[0] = Math.max(this._max[0], x);
+                this._max[1] = Math.max(this._max[1], y);
+                this._max[2] = Math.max(this._max[2], z);
+            }
+        },
+
+        _build: {
+            value: function(cellSize, indexedCount) {
+                var cellCount = this._resize(cellSize);
+                if (cellCount > SpatialIndex.MAX_CELLS) {
+                    cellCount = this._resize(cellSize * Math.cbrt(cellCount / SpatialIndex.MAX_CELLS) * 1.01);
+                }
+
+                // Counting sort of (cell, spot) pairs: count, accumulate, fill.
+                var cellStart = new Int32Array(cellCount + 1);
+                this._forEachPair(function(cell) {
+                    cellStart[cell + 1]++;
+                });
+                for (var i = 0; i < cellCount; i++) {
+                    cellStart[i + 1] += cellStart[i];
+                }
+                var cellItems = new Int32Array(cellStart[cellCount]);
+                var fill = cellStart.slice(0, cellCount);
+                this._forEachPair(function(cell, index) {
+                    cellItems[fill[cell]++] = index;
+                });
+
+                this._cellStart = cellStart;
+                this._cellItems = cellItems;
+            }
+        },
+
+        _resize: {
+            value: function(cellSize) {
+                this._cellSize = cellSize;
+                for (var i = 0; i < 3; i++) {
+                    this._size[i] = Math.max(1, Math.ceil((this._max[i] - this._min[i]) / cellSize));
+                }
+                return this._size[0] * this._size[1] * this._size[2];
+            }
+        },
+
+        _forEachPair: {
+            value: function(callback) {
+                var spots = this._spots;
+                for (var index = 0; index < spots.length; index++) {
+                    var r = this._radii[index];
+                    if (isNaN(r)) continue;
+                    var s = spots[index];
+                    var x0 = this._coord(0, s.x - r), x1 = this._coord(0, s.x + r);
+                    var y0 = this._coord(1, s.y - r), y1 = this._coord(1, s.y + r);
+                    var z0 = this._coord(2, s.z - r), z1 = this._coord(2, s.z + r);
+                    for (var z = z0; z <= z1; z++) {
+                        for (var y = y0; y <= y1; y++) {
+                            for (var x = x0; x <= x1; x++) {
+                                callback((z * this._size[1] + y) * this._size[0] + x, index);
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        _coord: {
+            value: function(axis, value) {
+                var c = Math.floor((value - this._min[axis]) / this._cellSize);
+                return c < 0 ? 0 : c >= this._size[axis] ? this._size[axis] - 1 : c;
+            }
+        },
+
+        _cellOf: {
+            value: function(x, y, z) {
+                if (!this._cellStart ||
+                        x < this._min[0] || x > this._max[0] ||
+                        y < this._min[1] || y > this._max[1] ||
+                        z < this._min[2] || z > this._max[2]) {
+                    return -1;
+                }
+                return (this._coord(2, z) * this._size[1] + this._coord(1, y)) * this._size[0] + this._coord(0, x);
+            }
+        }
+    });
+
+    return SpatialIndex;
+});
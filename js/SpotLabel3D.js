@@ -29,7 +29,9 @@ function(SpotLabelBase, THREE, Utils) {
 
                 this._raycastPromise = this._scene.raycast(raycaster);
                 if (this._raycastPromise) {
-                    this._raycastPromise.then(this._onRaycastComplete.bind(this));
+                    // Rejected if the picker has been reset (no spot).
+                    this._raycastPromise.then(this._onRaycastComplete.bind(this),
+                                              this._onRaycastComplete.bind(this, undefined));
                 } else {
                     this._view = null;
                 }
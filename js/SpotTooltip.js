@@ -0,0 +1,72 @@
+'use strict';
+
+define([
+    'spotlabelbase', 'utils'
+],
+function(SpotLabelBase, Utils) {
+    /**
+     * Label following the mouse cursor in hover mode. Shows name of the spot,
+     * value of the active map (raw and scaled) and metadata of the spot.
+     *
+     * @param {HTMLElement} container Element the tooltip is positioned in.
+     * @param {SpotsController} spotsController
+     */
+    function SpotTooltip(container, spotsController) {
+        SpotLabelBase.apply(this);
+        this._container = container;
+        this._spotsController = spotsController;
+        this._spot = null;
+    }
+
+    // Distance from the cursor to the tooltip (pixels).
+    SpotTooltip.OFFSET = 12;
+
+    SpotTooltip.prototype = Object.create(SpotLabelBase.prototype, Utils.asProps({
+        /**
+         * @param {Object} spot
+         * @param {Number} x Cursor position relative to the container.
+         * @param {Number} y
+         */
+        showFor: function(spot, x, y) {
+            if (spot !== this._spot) {
+                if (this._div) this.removeDiv();
+                this.createDiv('SpotTooltip');
+                this._fill(this._spotsController.spotInfo(spot));
+                this._container.appendChild(this._div);
+                this._spot = spot;
+            }
+            this._div.style.left = x + SpotTooltip.OFFSET + 'px';
+            this._div.style.top = y + SpotTooltip.OFFSET + 'px';
+        },
+
+        hide: function() {
+            if (!this._div) return;
+            this.removeDiv();
+            this._spot = null;
+        },
+
+        _fill: function(info) {
+            this._addLine('name', info.name);
+            if (info.measure) {
+                this._addLine('value', info.measure + ': ' + SpotTooltip.formatValue(info.value));
+                this._addLine('value', 'Scaled (' + info.scale + '): ' + SpotTooltip.formatValue(info.scaledValue));
+            }
+            for (var name in info.metadata) {
+                this._addLine('metadata', name + ': ' + info.metadata[name]);
+            }
+        },
+
+        _addLine: function(className, text) {
+            var line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            this._div.appendChild(line);
+        }
+    }));
+
+    SpotTooltip.formatValue = function(value) {
+        return isNaN(value) ? 'n/a' : String(Number(value.toPrecision(5)));
+    };
+
+    return SpotTooltip;
+});
@@ -1,7 +1,7 @@
 ﻿'use strict';
 
-define(['three', 'colormaps', 'eventsource', 'utils'],
-function (THREE, ColorMap, EventSource, Utils) {
+define(['three', 'colormaps', 'eventsource', 'measureexpression', 'utils'],
+function (THREE, ColorMap, EventSource, MeasureExpression, Utils) {
     function SpotsController() {
         EventSource.call(this, SpotsController.Events);
 
@@ -13,26 +13,40 @@ function (THREE, ColorMap, EventSource, Utils) {
 
         this._globalSpotScale = 1.0;
 
+        this._interpolation = SpotsController.Interpolation.NEAREST;
+        this._interpolationBandwidth = 1.0;
+        this._geodesicMapping = false;
+
         this._colorMap = ColorMap.Maps.VIRIDIS;
         this._scale = SpotsController.Scale.LINEAR;
 
         this._measures = [];
         this._activeMeasure = null;
+        // Formulas of derived measures ({name, formula, error}).
+        this._derived = [];
 
         this._hotspotQuantile = 1.0;
         this._autoMinMax = true;
         this._minValue = 0.0;
         this._maxValue = 0.0;
+
+        this._compositeMode = false;
+        this._channels = SpotsController.CHANNEL_COLORS.map(function () {
+            return new SpotsController.CompositeChannel(this);
+        }, this);
+        this._channelIntensities = [];
     }
 
     SpotsController.Events = {
         SPOTS_CHANGE: 'spots-change',
         SCALE_CHANGE: 'scale-change', // special event for the scaling as it requires sophisticated handler in 3D mode
+        MAPPING_MODE_CHANGE: 'mapping-mode-change', // same as above
         ATTR_CHANGE: 'attr-change',
         MAPPING_CHANGE: 'mapping-change',
         AUTO_MAPPING_CHANGE: 'auto-mapping-change',
         INTENSITIES_LOADED: 'intensities-loaded',
-        INTENSITIES_CHANGE: 'intensities-change'
+        INTENSITIES_CHANGE: 'intensities-change',
+        SELECTION_CHANGE: 'selection-change'
     };
 
     SpotsController.Scale = {
@@ -66,6 +80,19 @@ function (THREE, ColorMap, EventSource, Utils) {
         throw 'Invalid scale id: ' + id;
     };
 
+    /**
+     * How the 3D surface is colored between spots:
+     * NEAREST: only points inside a spot get its color;
+     * INVERSE_DISTANCE: blend of the closest spots weighted by inverse square distance;
+     * GAUSSIAN: blend of the closest spots weighted by the Gaussian kernel
+     *           with bandwidth of 'interpolationBandwidth' spot radii.
+     */
+    SpotsController.Interpolation = {
+        NEAREST: 'nearest',
+        INVERSE_DISTANCE: 'inverse-distance',
+        GAUSSIAN: 'gaussian'
+    };
+
     SpotsController.DataDependentOpacity = {
         MIN: 0.1,
         MAX: 1
@@ -117,6 +144,122 @@ function (THREE, ColorMap, EventSource, Utils) {
         };
     };
 
+    // Colors of channels in the composite mode.
+    SpotsController.CHANNEL_COLORS = ['red', 'green', 'blue'];
+
+    /**
+     * Map shown in a color channel of the composite mode with own scale and
+     * min/max. Changes recolor spots if the composite mode is on.
+     *
+     * @param {SpotsController} spotsController
+     */
+    SpotsController.CompositeChannel = function (spotsController) {
+        this._spotsController = spotsController;
+        this._mapName = '';
+        this._scale = SpotsController.Scale.LINEAR;
+        this._autoMinMax = true;
+        this._minValue = 0.0;
+        this._maxValue = 0.0;
+    };
+
+    SpotsController.CompositeChannel.prototype = Object.create(null, {
+        /*
+         * Name of the map (empty if the channel is not used).
+         */
+        mapName: {
+            get: function () {
+                return this._mapName;
+            },
+            set: function (value) {
+                this._mapName = String(value || '');
+                this._spotsController._onChannelChange();
+            }
+        },
+
+        measure: {
+            get: function () {
+                return this._mapName ? this._spotsController.findMeasure(this._mapName) : null;
+            }
+        },
+
+        scale: {
+            get: function () {
+                return this._scale;
+            }
+        },
+
+        scaleId: {
+            get: function () {
+                return this._scale.id;
+            },
+            set: function (value) {
+                this._scale = SpotsController.getScaleById(value);
+                this._spotsController._onChannelChange();
+            }
+        },
+
+        autoMinMax: {
+            get: function () {
+                return this._autoMinMax;
+            },
+            set: function (value) {
+                this._autoMinMax = !!value;
+                this._spotsController._onChannelChange();
+            }
+        },
+
+        minValue: {
+            get: function () {
+                return this._minValue;
+            },
+            set: function (value) {
+                this._minValue = Number(value);
+                if (!this._autoMinMax) this._spotsController._onChannelChange();
+            }
+        },
+
+        maxValue: {
+            get: function () {
+                return this._maxValue;
+            },
+            set: function (value) {
+                this._maxValue = Number(value);
+                if (!this._autoMinMax) this._spotsController._onChannelChange();
+            }
+        },
+
+        /*
+         * {min, max} of scaled values mapped to the channel.
+         */
+        range: {
+            get: function () {
+                if (this._autoMinMax) return this._spotsController.valueRange(this.measure, this._scale);
+                return {min: this._minValue, max: this._maxValue};
+            }
+        },
+
+        /*
+         * @return {Float64Array} Intensity of each spot in the channel (NaN
+         *         if the channel has no map).
+         */
+        computeIntensities: {
+            value: function () {
+                var measure = this.measure;
+                if (!measure) return new Float64Array(this._spotsController.spots.length).fill(NaN);
+                var range = this.range;
+                return this._spotsController.computeIntensities(measure, range.min, range.max, this._scale);
+            }
+        }
+    });
+
+    SpotsController._csvField = function (value) {
+        if (typeof value == 'number') {
+            return isNaN(value) ? '' : String(value);
+        }
+        value = String(value);
+        return /[",\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    };
+
     SpotsController.prototype = Object.create(EventSource.prototype, {
         spots: {
             get: function () {
@@ -126,9 +269,11 @@ function (THREE, ColorMap, EventSource, Utils) {
                 this._spots = value ? value : [];
                 for (var i = 0; i < this._spots.length; i++) {
                     var spot = this._spots[i];
+                    spot.index = i;
                     spot.scale = 1.0;
                     spot.color = new THREE.Color();
                     spot.opacity = 1.0;
+                    spot.selected = false;
                 }
                 this._notify(SpotsController.Events.SPOTS_CHANGE);
             }
@@ -141,10 +286,105 @@ function (THREE, ColorMap, EventSource, Utils) {
             set: function (value) {
                 this._measures = Array.isArray(value) && value ? value : [];
                 this._activeMeasure = null;
+                this._addDerivedMeasures();
+                this._notify(SpotsController.Events.INTENSITIES_LOADED);
+            }
+        },
+
+        /*
+         * Maps computed from other maps by formulas (see MeasureExpression).
+         * They follow loaded maps in the measures list and are recomputed
+         * when other maps are loaded. Maps whose formulas can't be computed
+         * (referenced maps are missing) are unavailable: they are not in the
+         * measures list until the formula can be computed again.
+         *
+         * @return {Array} {name, formula} of each derived map, 'error' is the
+         *                 reason for unavailable ones.
+         */
+        derivedMeasures: {
+            get: function () {
+                return this._derived.map(function (derived) {
+                    var result = {name: derived.name, formula: derived.formula};
+                    if (derived.error) result.error = derived.error;
+                    return result;
+                });
+            },
+            set: function (value) {
+                var loaded = this._measures.filter(function (measure) {
+                    return !('formula' in measure);
+                });
+                var active = this.mapName;
+                this._measures = loaded;
+                this._derived = (value || []).map(function (derived) {
+                    return {name: String(derived.name), formula: String(derived.formula), error: null};
+                });
+                this._addDerivedMeasures();
+                this._activeMeasure = this.findMeasure(active);
+                this._notify(SpotsController.Events.INTENSITIES_LOADED);
+            }
+        },
+
+        /*
+         * Adds a map computed by the formula (like "log(A/B)").
+         * Throws if the formula is invalid or the name is taken.
+         */
+        addDerivedMeasure: {
+            value: function (name, formula) {
+                name = String(name).trim();
+                var taken = this._derived.some(function (derived) {
+                    return derived.name == name;
+                });
+                if (taken) throw 'Map "' + name + '" already exists';
+                var measure = this._createDerivedMeasure(name, formula);
+                this._measures.push(measure);
+                this._derived.push({name: measure.name, formula: measure.formula, error: null});
                 this._notify(SpotsController.Events.INTENSITIES_LOADED);
             }
         },
 
+        /*
+         * Removes the derived map. Maps depending on it become unavailable.
+         */
+        removeDerivedMeasure: {
+            value: function (name) {
+                this.derivedMeasures = this._derived.filter(function (derived) {
+                    return derived.name != name;
+                });
+            }
+        },
+
+        /*
+         * Appends derived measures to loaded ones in order (formulas may
+         * reference preceding derived maps). Maps that can't be computed get
+         * the reason in 'error'.
+         */
+        _addDerivedMeasures: {
+            value: function () {
+                this._derived.forEach(function (derived) {
+                    try {
+                        this._measures.push(this._createDerivedMeasure(derived.name, derived.formula));
+                        derived.error = null;
+                    } catch (e) {
+                        derived.error = String(e);
+                    }
+                }, this);
+            }
+        },
+
+        _createDerivedMeasure: {
+            value: function (name, formula) {
+                if (!name) throw 'Map name is empty';
+                if (this.findMeasure(name)) throw 'Map "' + name + '" already exists';
+                var expression = new MeasureExpression(formula);
+                return {
+                    name: name,
+                    index: this._measures.length,
+                    values: expression.evaluate(this.findMeasure.bind(this), this._spots.length),
+                    formula: expression.formula
+                };
+            }
+        },
+
         hotspotQuantile: {
             get: function () {
                 return this._hotspotQuantile;
@@ -187,6 +427,60 @@ function (THREE, ColorMap, EventSource, Utils) {
             }
         },
 
+        interpolation: {
+            get: function () {
+                return this._interpolation;
+            },
+            set: function (value) {
+                if (this._interpolation == value) {
+                    return;
+                }
+                for (var i in SpotsController.Interpolation) {
+                    if (SpotsController.Interpolation[i] == value) {
+                        this._interpolation = value;
+                        this._notify(SpotsController.Events.MAPPING_MODE_CHANGE);
+                        return;
+                    }
+                }
+                throw 'Invalid interpolation mode: ' + value;
+            }
+        },
+
+        interpolationBandwidth: {
+            get: function () {
+                return this._interpolationBandwidth;
+            },
+            set: function (value) {
+                value = Number(value);
+                if (this._interpolationBandwidth == value || !(value > 0)) {
+                    return;
+                }
+                this._interpolationBandwidth = value;
+                if (this._interpolation == SpotsController.Interpolation.GAUSSIAN) {
+                    this._notify(SpotsController.Events.MAPPING_MODE_CHANGE);
+                }
+            }
+        },
+
+        /*
+         * If enabled spots are propagated along the 3D surface (geodesic
+         * distance) instead of straight lines. Only affects 'nearest'
+         * interpolation.
+         */
+        geodesicMapping: {
+            get: function () {
+                return this._geodesicMapping;
+            },
+            set: function (value) {
+                value = !!value;
+                if (this._geodesicMapping == value) {
+                    return;
+                }
+                this._geodesicMapping = value;
+                this._notify(SpotsController.Events.MAPPING_MODE_CHANGE);
+            }
+        },
+
         globalSpotOpacity: {
             get: function () {
                 return this._globalSpotOpacity;
@@ -241,6 +535,112 @@ function (THREE, ColorMap, EventSource, Utils) {
             }
         },
 
+        /*
+         * @return {Object} {name, measure, value, scale, scaledValue, metadata}
+         *         where value is the spot's value in the active map
+         *         ('measure' is empty if there is no active map).
+         */
+        spotInfo: {
+            value: function (spot) {
+                var value = this._activeMeasure ? this._activeMeasure.values[spot.index] : NaN;
+                return {
+                    name: spot.name,
+                    measure: this.mapName,
+                    value: value,
+                    scale: this._scale.id,
+                    scaledValue: this._scale.function(value),
+                    metadata: spot.metadata || {}
+                };
+            }
+        },
+
+        /*
+         * Selected spots (in order of the spots list).
+         */
+        selection: {
+            get: function () {
+                return this._spots.filter(function (spot) {
+                    return spot.selected;
+                });
+            }
+        },
+
+        /*
+         * @param {Array} spots Spots to select.
+         * @param {Boolean} add Add them to the current selection instead of
+         *                  replacing it.
+         */
+        select: {
+            value: function (spots, add) {
+                if (!add) {
+                    this._spots.forEach(function (spot) {
+                        spot.selected = false;
+                    });
+                }
+                spots.forEach(function (spot) {
+                    spot.selected = true;
+                });
+                this._notify(SpotsController.Events.SELECTION_CHANGE);
+            }
+        },
+
+        clearSelection: {
+            value: function () {
+                this.select([], false);
+            }
+        },
+
+        /*
+         * Names of selected spots. Unknown names are ignored on setting.
+         */
+        selectedNames: {
+            get: function () {
+                return this.selection.map(function (spot) {
+                    return spot.name;
+                });
+            },
+            set: function (names) {
+                var selected = new Set(names);
+                this.select(this._spots.filter(function (spot) {
+                    return selected.has(spot.name);
+                }), false);
+            }
+        },
+
+        /*
+         * Table of selected spots (all if nothing is selected) with
+         * coordinates, raw values of the active map (or all maps), scaled
+         * intensity and assigned color.
+         *
+         * @param {Boolean} allMeasures Include values of all maps.
+         * @return {String} CSV text.
+         */
+        toCSV: {
+            value: function (allMeasures) {
+                var measures = allMeasures ? this._measures : this._activeMeasure ? [this._activeMeasure] : [];
+                var spots = this.selection;
+                if (!spots.length) spots = this._spots;
+
+                var header = ['Name', 'X', 'Y', 'Z'].concat(measures.map(function (measure) {
+                    return measure.name;
+                }), ['Intensity', 'Color']);
+                var rows = spots.map(function (spot) {
+                    var hasIntensity = !isNaN(spot.intensity);
+                    return [spot.name, spot.x, spot.y, spot.z].concat(measures.map(function (measure) {
+                        // Values are stored as 32-bit floats (~7 significant digits).
+                        var value = measure.values[spot.index];
+                        return isNaN(value) ? NaN : Number(value.toPrecision(7));
+                    }), [
+                        hasIntensity ? spot.intensity : '',
+                        hasIntensity ? '#' + spot.color.getHexString() : ''
+                    ]);
+                });
+                return [header].concat(rows).map(function (row) {
+                    return row.map(SpotsController._csvField).join(',');
+                }).join('\n') + '\n';
+            }
+        },
+
         spotOpacity: SpotsController._createSpotsProperty('opacity', function (spot, opacity) {
             var v = opacity[spot.name];
             v = v < 0 ? 0 : v > 1 ? 1 : v;
@@ -331,6 +731,131 @@ function (THREE, ColorMap, EventSource, Utils) {
             }
         },
 
+        /*
+         * If enabled spots are colored by maps of 3 channels (see
+         * compositeChannels) mixed as red, green and blue instead of
+         * the color map.
+         */
+        compositeMode: {
+            get: function () {
+                return this._compositeMode;
+            },
+            set: function (value) {
+                value = !!value;
+                if (this._compositeMode == value) return;
+                this._compositeMode = value;
+                this._updateIntensities();
+                this._notify(SpotsController.Events.MAPPING_CHANGE);
+            }
+        },
+
+        /*
+         * CompositeChannel for each of SpotsController.CHANNEL_COLORS.
+         */
+        compositeChannels: {
+            get: function () {
+                return this._channels;
+            }
+        },
+
+        /*
+         * Color of the spot for its current intensity (composite or from
+         * the color map).
+         *
+         * @param {THREE.Color} color Result (out parameter).
+         * @param {Object} spot
+         */
+        mapColor: {
+            value: function (color, spot) {
+                if (!this._compositeMode) {
+                    this._colorMap.map(color, spot.intensity);
+                    return;
+                }
+                var rgb = this._channelIntensities.map(function (intensities) {
+                    var intensity = intensities[spot.index];
+                    return intensity >= 0 ? intensity : 0.0;
+                });
+                color.setRGB(rgb[0], rgb[1], rgb[2]);
+            }
+        },
+
+        _onChannelChange: {
+            value: function () {
+                if (!this._compositeMode) return;
+                this._updateIntensities();
+                this._notify(SpotsController.Events.MAPPING_CHANGE);
+            }
+        },
+
+        /*
+         * @return {Object} Measure with the name or null.
+         */
+        findMeasure: {
+            value: function (name) {
+                for (var i = 0; i < this._measures.length; i++) {
+                    if (this._measures[i].name == name) return this._measures[i];
+                }
+                return null;
+            }
+        },
+
+        /*
+         * Automatic {min, max} of scaled values of the measure (max is
+         * the hotspot quantile). The scale is the current one by default.
+         */
+        valueRange: {
+            value: function (measure, scale) {
+                scale = scale || this._scale;
+                var values = measure ? measure.values : [];
+
+                var values = Array.prototype.filter.call(values, scale.filter).sort(function (a, b) {
+                    return a - b;
+                });
+
+                return {
+                    min: values.length > 0 ? scale.function(values[0]) : 0.0,
+                    max: values.length > 0 ? scale.function(values[Math.ceil((values.length - 1) * this._hotspotQuantile)]) : 0.0
+                };
+            }
+        },
+
+        /*
+         * Maps scaled values of the measure to [0, 1] (NaN for values below
+         * the min). The scale is the current one by default.
+         *
+         * @return {Float64Array} Intensity of each spot.
+         */
+        computeIntensities: {
+            value: function (measure, minValue, maxValue, scale) {
+                scale = scale || this._scale;
+                var result = new Float64Array(this._spots.length);
+                for (var i = 0; i < this._spots.length; i++) {
+                    var scaledValue = measure && scale.function(measure.values[i]);
+                    var intensity = NaN;
+
+                    if (scaledValue >= maxValue) {
+                        intensity = 1.0;
+                    } else if (scaledValue >= minValue) {
+                        intensity = (scaledValue - minValue) / (maxValue - minValue);
+                    }
+                    result[i] = intensity;
+                }
+                return result;
+            }
+        },
+
+        /*
+         * Opacity of the spot for given intensity (depends on
+         * 'dataDependentOpacity').
+         */
+        opacityFor: {
+            value: function (spot, intensity) {
+                if (!this._dataDependentOpacity) return spot.opacity;
+                var range = SpotsController.DataDependentOpacity.MAX - SpotsController.DataDependentOpacity.MIN;
+                return SpotsController.DataDependentOpacity.MIN + range * intensity;
+            }
+        },
+
         _updateDataDependentOpacity: {
             value: function () {
                 var enabled = this._dataDependentOpacity;
@@ -346,14 +871,9 @@ function (THREE, ColorMap, EventSource, Utils) {
 
         _updateMinMaxValues: {
             value: function () {
-                var values = this._activeMeasure ? this._activeMeasure.values : [];
-
-                var values = Array.prototype.filter.call(values, this._scale.filter).sort(function (a, b) {
-                    return a - b;
-                });
-
-                var minValue = values.length > 0 ? this._scale.function(values[0]) : 0.0;
-                var maxValue = values.length > 0 ? this._scale.function(values[Math.ceil((values.length - 1) * this._hotspotQuantile)]) : 0.0;
+                var range = this.valueRange(this._activeMeasure);
+                var minValue = range.min;
+                var maxValue = range.max;
 
                 if (this._minValue != minValue || this._maxValue != maxValue) {
                     this._minValue = minValue;
@@ -373,16 +893,24 @@ function (THREE, ColorMap, EventSource, Utils) {
                     return;
                 }
 
+                var intensities = null;
+                if (this._compositeMode) {
+                    // Spots are shown if they have value in any channel.
+                    this._channelIntensities = this._channels.map(function (channel) {
+                        return channel.computeIntensities();
+                    });
+                    intensities = this._channelIntensities.reduce(function (result, channel) {
+                        for (var i = 0; i < result.length; i++) {
+                            if (isNaN(result[i]) || channel[i] > result[i]) result[i] = channel[i];
+                        }
+                        return result;
+                    }, new Float64Array(this._spots.length).fill(NaN));
+                } else {
+                    this._channelIntensities = [];
+                    intensities = this.computeIntensities(this._activeMeasure, this._minValue, this._maxValue);
+                }
                 for (var i = 0; i < this._spots.length; i++) {
-                    var scaledValue = this._activeMeasure && this._scale.function(this._activeMeasure.values[i]);
-                    var intensity = NaN;
-
-                    if (scaledValue >= this._maxValue) {
-                        intensity = 1.0;
-                    } else if (scaledValue >= this._minValue) {
-                        intensity = (scaledValue - this._minValue) / (this._maxValue - this._minValue);
-                    }
-                    this._spots[i].intensity = intensity;
+                    this._spots[i].intensity = intensities[i];
                 }
                 this._updateDataDependentOpacity();
                 this._notify(SpotsController.Events.INTENSITIES_CHANGE);
@@ -1,10 +1,14 @@
 'use strict';
 
 define([
+    'colormaps',
+    'scene3d',
+    'spotscontroller',
     'tabcontrollerbase',
+    'utils',
     'viewgroup3d'
 ],
-function (TabControllerBase, ViewGroup3D) {
+function (ColorMap, Scene3D, SpotsController, TabControllerBase, Utils, ViewGroup3D) {
     function TabController3D(container, workspace, views) {
         var description = 'Settings of 3D view';
         var title = '3D';
@@ -17,11 +21,20 @@ function (TabControllerBase, ViewGroup3D) {
             ['Quadriple view', ViewGroup3D.Layout.QUADRIPLE]
         ];
         this.addChoice(views.g3d, 'layout', 'Layout', layoutOptions);
+        var linkModeOptions = [
+            ['Independent', ViewGroup3D.LinkMode.NONE],
+            ['Rotate together', ViewGroup3D.LinkMode.ROTATE],
+            ['Mirrored', ViewGroup3D.LinkMode.MIRROR]
+        ];
+        this.addChoice(views.g3d, 'linkMode', 'Cameras', linkModeOptions);
         this.addColor(workspace.scene3d, 'color', 'Color');
+        this.addFlag(workspace.scene3d, 'useModelColors', 'Model colors');
+        this.addFlag(workspace.scene3d, 'textureBlending', 'Texture blending');
         this.addColor(workspace.scene3d, 'backgroundColor', 'Background');
         this.addFlag(workspace.scene3d, 'axisHelper', 'Show the origin');
         this.addNumeric(workspace.scene3d.frontLight, 'intensity', 'Light', 0, 3);
         this.addChoice(views, 'exportPixelRatio3d', 'Export pixel ratio', [0.5, 1.0, 2.0]);
+        this.addNumeric(workspace, 'targetTriangleCount', 'Max triangles').step(10000).min(0);
         var adjustment = this.addGroupBox('Coordinates adjustment');
         adjustment.addNumeric(workspace.scene3d.adjustment, 'alpha', '0X rotation', - 180.0, 180.0);
         adjustment.addNumeric(workspace.scene3d.adjustment, 'beta', '0Y rotation', -180.0, 180.0);
@@ -29,10 +42,52 @@ function (TabControllerBase, ViewGroup3D) {
         adjustment.addNumeric(workspace.scene3d.adjustment, 'x', 'X offset').step(1);
         adjustment.addNumeric(workspace.scene3d.adjustment, 'y', 'Y offset').step(1);
         adjustment.addNumeric(workspace.scene3d.adjustment, 'z', 'Z offset').step(1);
+
+        this._objects = this.addGroupBox('Objects');
+        workspace.scene3d.addEventListener(Scene3D.Events.PARTS_CHANGE, this._onPartsChange.bind(this, workspace.scene3d));
+
+        this._viewMaps = this.addGroupBox('Maps in views');
+        workspace.spotsController.addEventListener(SpotsController.Events.INTENSITIES_LOADED,
+            this._onMeasuresChange.bind(this, workspace.spotsController, views.g3d));
+        this._onMeasuresChange(workspace.spotsController, views.g3d);
         return this;
     }
 
-    TabController3D.prototype = Object.create(TabControllerBase.prototype);
+    TabController3D.prototype = Object.create(TabControllerBase.prototype, {
+        _onPartsChange: {
+            value: function (scene3d) {
+                this._objects.clear();
+                scene3d.parts.forEach(function (part, index) {
+                    // Names of parts may repeat.
+                    var group = this._objects.addGroupBox(Utils.escapeHTML(part.name), part.name + ' ' + index);
+                    group.addFlag(part, 'visible', 'Visible');
+                    group.addNumeric(part, 'opacity', 'Opacity', 0, 1);
+                    group.addColor(part, 'color', 'Color');
+                }, this);
+            }
+        },
+
+        /**
+         * Each view may show its own map with own color map and min/max.
+         */
+        _onMeasuresChange: {
+            value: function (spotsController, group) {
+                this._viewMaps.clear();
+                var colorMapOptions = [['Same as active', '']].concat(Object.keys(ColorMap.Maps).map(function (id) {
+                    return [ColorMap.Maps[id].name, id];
+                }));
+                group.views.forEach(function (view, index) {
+                    var box = this._viewMaps.addGroupBox('View ' + (index + 1));
+                    // Saved with the view (see View3D.toJSON).
+                    box.addMapChoice(view, 'mapName', 'Map', spotsController.measures, 'Active map').saved = false;
+                    box.addChoice(view, 'colorMapId', 'Color map', colorMapOptions);
+                    box.addFlag(view, 'autoMinMax', 'Auto Min/Max');
+                    box.addNumeric(view, 'minValue', 'Min intensity');
+                    box.addNumeric(view, 'maxValue', 'Max intensity');
+                }, this);
+            }
+        }
+    });
 
     return TabController3D;
 });
@@ -27,6 +27,12 @@ function (EmperorViewControllerABC, ControlGrid, Workspace) {
             }
         },
 
+        addText: {
+            value: function (object, key, name) {
+                return this._controlGrid.addText(object, key, name);
+            }
+        },
+
         addColor: {
             value: function (object, key, name) {
                 return this._controlGrid.addColor(object, key, name);
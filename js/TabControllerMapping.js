@@ -5,9 +5,11 @@ define([
     'tabcontrollerbase',
     'workspace',
     'scene3d',
-    'spotscontroller'
+    'spotscontroller',
+    'utils',
+    'viewgrid2d'
 ],
-function (ColorMap, TabControllerBase, Workspace, Scene3D, SpotsController) {
+function (ColorMap, TabControllerBase, Workspace, Scene3D, SpotsController, Utils, ViewGrid2D) {
     function TabControllerMapping(container, workspace, views) {
         var description = 'Settings of feature mapping visualization';
         var title = 'Mapping';
@@ -35,6 +37,32 @@ function (ColorMap, TabControllerBase, Workspace, Scene3D, SpotsController) {
         this._minIntensity = this.addNumeric(spotsController, 'minValue', 'Min intensity');
         this._maxIntensity = this.addNumeric(spotsController, 'maxValue', 'Max intensity');
 
+        var derived = this.addGroupBox('Derived maps');
+        this._newDerivedMap = {name: '', formula: ''};
+        derived.addText(this._newDerivedMap, 'name', 'Name');
+        derived.addText(this._newDerivedMap, 'formula', 'Formula');
+        derived.addAction('Add map', this._onAddDerivedMap.bind(this, spotsController));
+        this._derivedMaps = derived.addGroupBox('Defined maps');
+
+        this.addFlag(spotsController, 'compositeMode', 'RGB composite');
+        this._channels = this.addGroupBox('Composite channels');
+        spotsController.addEventListener(SpotsController.Events.INTENSITIES_LOADED,
+            this._onMeasuresChange.bind(this, spotsController, scaleOptions));
+        this._onMeasuresChange(spotsController, scaleOptions);
+
+        var imaging = this.addGroupBox('Mass spectrometry imaging');
+        imaging.addText(workspace, 'mzValues', 'm/z values');
+        imaging.addNumeric(workspace, 'mzTolerance', 'Tolerance (ppm)', 0.1, 100);
+
+        var grid = this.addGroupBox('Small multiples (2D)');
+        grid.addFlag(views, 'gridMode', 'Show grid');
+        grid.addChoice(views.grid2d, 'columns', 'Columns', [1, 2, 3, 4, 5, 6]);
+        grid.addText(views.grid2d, 'mapNames', 'Maps');
+        grid.addChoice(views.grid2d, 'legendMode', 'Legend', [
+            ['Shared', ViewGrid2D.LegendMode.SHARED],
+            ['Per panel', ViewGrid2D.LegendMode.PER_PANEL]
+        ]);
+
         spotsController.addEventListener(SpotsController.Events.AUTO_MAPPING_CHANGE, this._onAutoMappingChange.bind(this, spotsController));
         spotsController.addEventListener(SpotsController.Events.MAPPING_CHANGE, this._onSceneChange.bind(this));
 
@@ -42,6 +70,43 @@ function (ColorMap, TabControllerBase, Workspace, Scene3D, SpotsController) {
     }
 
     TabControllerMapping.prototype = Object.create(TabControllerBase.prototype, {
+        _onAddDerivedMap: {
+            value: function (spotsController) {
+                try {
+                    spotsController.addDerivedMeasure(this._newDerivedMap.name, this._newDerivedMap.formula);
+                } catch (e) {
+                    alert('Cannot add the map: ' + e);
+                }
+            }
+        },
+
+        /**
+         * Each derived map can be removed; each channel of the composite mode
+         * has its own map, scale and min/max.
+         */
+        _onMeasuresChange: {
+            value: function (spotsController, scaleOptions) {
+                this._derivedMaps.clear();
+                spotsController.derivedMeasures.forEach(function (derived) {
+                    var text = Utils.escapeHTML(derived.name + ' = ' + derived.formula +
+                            (derived.error ? ' (unavailable: ' + derived.error + ')' : ''));
+                    this._derivedMaps.addAction('Remove ' + text,
+                        spotsController.removeDerivedMeasure.bind(spotsController, derived.name));
+                }, this);
+
+                this._channels.clear();
+                spotsController.compositeChannels.forEach(function (channel, index) {
+                    var color = SpotsController.CHANNEL_COLORS[index];
+                    var box = this._channels.addGroupBox(color.charAt(0).toUpperCase() + color.substr(1));
+                    box.addMapChoice(channel, 'mapName', 'Map', spotsController.measures, 'None');
+                    box.addChoice(channel, 'scaleId', 'Scale', scaleOptions);
+                    box.addFlag(channel, 'autoMinMax', 'Auto Min/Max');
+                    box.addNumeric(channel, 'minValue', 'Min intensity');
+                    box.addNumeric(channel, 'maxValue', 'Max intensity');
+                }, this);
+            }
+        },
+
         _onAutoMappingChange: {
             value: function (spotsController) {
                 var disabled = spotsController.autoMinMax;
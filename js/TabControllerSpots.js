@@ -1,9 +1,9 @@
 'use strict';
 
 define([
-    'tabcontrollerbase'
+    'selectiontool', 'spotscontroller', 'tabcontrollerbase'
 ],
-function(TabControllerBase) {
+function(SelectionTool, SpotsController, TabControllerBase) {
     function TabControllerSpots(container, workspace, views) {
         var description = 'Settings of spots visualization';
         var title = 'Spots';
@@ -14,10 +14,43 @@ function(TabControllerBase) {
         this.addNumeric(spotsController, 'spotBorder', 'Border opacity', 0, 1);
         this.addFlag(spotsController, 'dataDependentOpacity', 'Proportional opacity');
         this.addNumeric(spotsController, 'globalSpotScale', 'Size factor', 0, 10);
+
+        var interpolationOptions = [
+            ['Nearest spot', SpotsController.Interpolation.NEAREST],
+            ['Inverse distance', SpotsController.Interpolation.INVERSE_DISTANCE],
+            ['Gaussian', SpotsController.Interpolation.GAUSSIAN]
+        ];
+        this.addChoice(spotsController, 'interpolation', 'Interpolation', interpolationOptions);
+        this.addNumeric(spotsController, 'interpolationBandwidth', 'Gaussian bandwidth', 0.1, 10);
+        this._geodesicMapping = this.addFlag(spotsController, 'geodesicMapping', 'Surface distance');
+        spotsController.addEventListener(SpotsController.Events.MAPPING_MODE_CHANGE,
+            this._onMappingModeChange.bind(this, spotsController));
+        this._onMappingModeChange(spotsController);
+        this.addFlag(views, 'spotTooltips', 'Hover tooltips');
+
+        var selectionShapeOptions = [
+            ['Rectangle', SelectionTool.Shape.RECTANGLE],
+            ['Lasso', SelectionTool.Shape.LASSO]
+        ];
+        this.addChoice(views, 'selectionShape', 'Selection tool', selectionShapeOptions);
+        this.addFlag(views, 'exportAllMaps', 'Export all maps');
         return this;
     }
 
-    TabControllerSpots.prototype = Object.create(TabControllerBase.prototype);
+    TabControllerSpots.prototype = Object.create(TabControllerBase.prototype, {
+        /**
+         * Surface distances are only used for the nearest spot mapping.
+         */
+        _onMappingModeChange: {
+            value: function (spotsController) {
+                if (spotsController.interpolation == SpotsController.Interpolation.NEAREST) {
+                    this._geodesicMapping.enable();
+                } else {
+                    this._geodesicMapping.disable();
+                }
+            }
+        }
+    });
 
     return TabControllerSpots;
 });
@@ -1,9 +1,9 @@
 'use strict';
 
 define([
-    'three', 'scene2d', 'spotlabel2d', 'spotscontroller'
+    'three', 'scene2d', 'spotlabel2d', 'spotscontroller', 'spottooltip', 'selectiontool'
 ],
-function(THREE, Scene2D, SpotLabel2D, SpotsController) {
+function(THREE, Scene2D, SpotLabel2D, SpotsController, SpotTooltip, SelectionTool) {
     function View2D(workspace, div) {
         this._div = div;
         this._img = this._div.querySelector('img');
@@ -23,6 +23,9 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
         this._spotsController = workspace.spotsController;
         this._scene = workspace.scene2d;
         this._spotLabel = new SpotLabel2D(this);
+        this._spotTooltip = new SpotTooltip(this._div, this._spotsController);
+        this._spotTooltips = false;
+        this._selectionShape = SelectionTool.Shape.RECTANGLE;
 
         this._uniforms = {
             imageSize: { type: 'v2', value: new THREE.Vector2() },
@@ -48,9 +51,12 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
         this._spotsController.addEventListener(SpotsController.Events.SPOTS_CHANGE, this._onSpotsUpdate.bind(this));
         this._spotsController.addEventListener(SpotsController.Events.INTENSITIES_CHANGE, this._onSpotsUpdate.bind(this));
         this._spotsController.addEventListener(SpotsController.Events.MAPPING_CHANGE, this._onSpotsUpdate.bind(this));
+        this._spotsController.addEventListener(SpotsController.Events.SELECTION_CHANGE, this._onSpotsAttrChange.bind(this));
 
         this._div.addEventListener('wheel', this._onMouseWheel.bind(this));
         this._div.addEventListener('mousedown', this._onMouseDown.bind(this));
+        this._div.addEventListener('mousemove', this._onMouseMove.bind(this));
+        this._div.addEventListener('mouseleave', this._onMouseLeave.bind(this));
         this._div.addEventListener('dblclick', this._onDblClick.bind(this));
     }
 
@@ -70,11 +76,13 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
             'varying vec3 vColor;' +
             'varying float vScale;' +
             'varying float vOpacity;' +
+            'varying float vSelected;' +
             'void main() {' +
                 'vUv = uv;' +
                 'vColor = color;' +
                 'vScale = normal.x;' +
                 'vOpacity = normal.y;' +
+                'vSelected = normal.z;' +
                 'vec2 halfImageSize = imageSize * 0.5;' +
                 'vec2 halfCanvasSize = canvasSize * 0.5;' +
                 'vec2 normalizedPosition = (position.xy - halfImageSize);' +
@@ -88,10 +96,16 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
             'varying vec3 vColor;' +
             'varying float vScale;' +
             'varying float vOpacity;' +
+            'varying float vSelected;' +
             'uniform float opacityDecay;' +
             'void main() {' +
                 'float r = distance(vUv, vec2(0.0, 0.0));' +
                 'if (r > vScale) discard;' +
+                // Selected spots have white outline.
+                'if (vSelected > 0.5 && r > vScale * 0.8) {' +
+                    'gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);' +
+                    'return;' +
+                '}' +
                 'gl_FragColor = vec4(vColor, (1.0 - opacityDecay * r / vScale) * vOpacity);' +
             '}';
 
@@ -159,7 +173,7 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
                 var uvs = new Float32Array(spotsCount * 6 * 2);
                 var colors = new Float32Array(spotsCount * 6 * 3);
                 var scales = new Float32Array(spotsCount * 6 * 3);
-                var colorMap = this._spotsController.colorMap;
+                var spotsController = this._spotsController;
                 var globalSpotsScale = this._spotsController.globalSpotScale;
                 var globalSpotsOpacity = this._spotsController.globalSpotOpacity;
 
@@ -172,7 +186,7 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
                     uvs[idx * 2 + 1] = dy * s.scale * globalSpotsScale;
                     scales[idx * 3 + 0] = s.scale * globalSpotsScale;
                     scales[idx * 3 + 1] = s.opacity * globalSpotsOpacity;
-                    scales[idx * 3 + 2] = 0;
+                    scales[idx * 3 + 2] = s.selected ? 1 : 0;
                     colors[idx * 3 + 0] = color.r;
                     colors[idx * 3 + 1] = color.g;
                     colors[idx * 3 + 2] = color.b;
@@ -184,7 +198,7 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
                     var color = null;
                     if (useColorMap) {
                         var color = new THREE.Color();
-                        colorMap.map(color, s.intensity);
+                        spotsController.mapColor(color, s);
                         s.color = color;
                     } else {
                         color = s.color;
@@ -371,9 +385,15 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
             value: function(event) {
                 event.preventDefault();
                 document.body.focus();
+                if (event.shiftKey) {
+                    this._spotTooltip.hide();
+                    this._startSelection(event);
+                    return;
+                }
                 new View2D.MoveMouseAction().start(this, event);
 
                 this._spotLabel.hide();
+                this._spotTooltip.hide();
                 var parentRect = this._div.getBoundingClientRect();
                 var point = this.screenToImage({x: event.pageX - parentRect.left, y: event.pageY - parentRect.top});
                 this._scene.findSpot(point).then(function(spot) {
@@ -384,6 +404,52 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
             }
         },
 
+        /**
+         * Shows the tooltip for the spot under the cursor in hover mode.
+         */
+        _onMouseMove: {
+            value: function(event) {
+                if (!this._spotTooltips || this._mouseAction) return;
+
+                var parentRect = this._div.getBoundingClientRect();
+                var x = event.pageX - parentRect.left;
+                var y = event.pageY - parentRect.top;
+                this._scene.findSpot(this.screenToImage({x: x, y: y})).then(function(spot) {
+                    if (spot) {
+                        this._spotTooltip.showFor(spot, x, y);
+                    } else {
+                        this._spotTooltip.hide();
+                    }
+                }.bind(this));
+            }
+        },
+
+        _onMouseLeave: {
+            value: function(event) {
+                this._spotTooltip.hide();
+            }
+        },
+
+        /**
+         * Selects spots inside the shape drawn with the mouse. With Ctrl
+         * (Cmd on Mac) they are added to the current selection.
+         */
+        _startSelection: {
+            value: function(event) {
+                var add = event.ctrlKey || event.metaKey;
+                this._mouseAction = new SelectionTool(this._div, this._selectionShape, function(tool) {
+                    this._mouseAction = null;
+                    var spots = this._spotsController.spots.filter(function(spot) {
+                        if (isNaN(spot.intensity)) return false;
+                        var point = this.imageToClient(spot);
+                        return tool.contains(point.x, point.y);
+                    }, this);
+                    this._spotsController.select(spots, add);
+                }.bind(this));
+                this._mouseAction.start(event);
+            }
+        },
+
         _onDblClick: {
             value: function(event) {
                 this.adjustOffset(1.0);
@@ -396,6 +462,33 @@ function(THREE, Scene2D, SpotLabel2D, SpotsController) {
             }
         },
 
+        /**
+         * If enabled the view shows a tooltip for the spot under the cursor.
+         */
+        spotTooltips: {
+            get: function() {
+                return this._spotTooltips;
+            },
+
+            set: function(value) {
+                this._spotTooltips = !!value;
+                if (!value) this._spotTooltip.hide();
+            }
+        },
+
+        /**
+         * Shape drawn with Shift + mouse to select spots.
+         */
+        selectionShape: {
+            get: function() {
+                return this._selectionShape;
+            },
+
+            set: function(value) {
+                this._selectionShape = value;
+            }
+        },
+
         toJSON: {
             value: function () {
                 return {
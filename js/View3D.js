@@ -1,9 +1,9 @@
 'use strict';
 
 define([
-    'orbitcontrols', 'three'
+    'colormaps', 'orbitcontrols', 'spotscontroller', 'three'
 ],
-function(OrbitControls, THREE) {
+function(ColorMap, OrbitControls, SpotsController, THREE) {
     /**
      * View indise ViewGroup3D. All View3Ds share single canvas from the group.
      * Each view has own camera and own empty DIV for handling user input and
@@ -19,13 +19,36 @@ function(OrbitControls, THREE) {
         this._top = 0;
         this._width = 0;
         this._height = 0;
+        this._dragging = false;
         this._camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
         this._camera.position.x = -30;
         this._camera.position.y = 40;
         this._camera.position.z = 30;
         this._camera.lookAt(this._group._scene.position);
 
+        // Map shown in the view ('' for the active map of the workspace) and
+        // its own color map and min/max (see spotData).
+        this._mapName = '';
+        this._colorMapId = '';
+        this._autoMinMax = true;
+        this._minValue = 0.0;
+        this._maxValue = 0.0;
+        this._spotData = null;
+        this._spotDataValid = false;
+        this._caption = document.createElement('div');
+        this._caption.className = 'caption';
+        this._div.appendChild(this._caption);
+
+        var spotsController = this._group._spotsController;
+        var invalidate = this._invalidateSpotData.bind(this);
+        for (var i in SpotsController.Events) {
+            if (SpotsController.Events[i] != SpotsController.Events.SELECTION_CHANGE) {
+                spotsController.addEventListener(SpotsController.Events[i], invalidate);
+            }
+        }
+
         this._div.addEventListener('dblclick', this._onDoubleClick.bind(this));
+        this._div.appendChild(this._createPresetButtons());
 
         this._controls = new OrbitControls(this._camera, this._div);
         this._controls.target = this._group._scene.position;
@@ -34,9 +57,23 @@ function(OrbitControls, THREE) {
         this._controls.autoRotateSpeed = 6.0;
         this._controls.update();
         this._controls.addEventListener('change', group.requestAnimationFrame.bind(group));
+        this._controls.addEventListener('change', group.onCameraChange.bind(group, this));
         this._controls.addEventListener('start', this._onOrbitStart.bind(this));
+        this._controls.addEventListener('end', this._onOrbitEnd.bind(this));
     }
 
+    /**
+     * Directions from the target to the camera and labels of buttons.
+     */
+    View3D.CameraPresets = {
+        front: { direction: [0, 0, 1], label: 'F' },
+        back: { direction: [0, 0, -1], label: 'Bk' },
+        left: { direction: [-1, 0, 0], label: 'L' },
+        right: { direction: [1, 0, 0], label: 'R' },
+        top: { direction: [0, 1, 0], label: 'T' },
+        bottom: { direction: [0, -1, 0], label: 'Bt' }
+    };
+
     View3D.prototype = Object.create(null, {
         prepareUpdateLayout: {
             value: function() {
@@ -94,6 +131,16 @@ function(OrbitControls, THREE) {
             }
         },
 
+        /**
+         * True while the camera moves (the user drags it or it
+         * rotates automatically).
+         */
+        interacting: {
+            get: function() {
+                return this._dragging || this._controls.autoRotate && !!this._width && !!this._height;
+            }
+        },
+
         setupRaycaster: {
             value: function(raycaster, pageX, pageY) {
                 var x = pageX - this._left;
@@ -111,10 +158,167 @@ function(OrbitControls, THREE) {
                 return {
                     x: this._width * (0.5 + p.x / 2),
                     y: this._height * (0.5 - p.y / 2),
+                    z: p.z, // Outside [-1, 1] if clipped (e.g. behind the camera).
                 };
             }
         },
 
+        /**
+         * Name of the map shown in the view. Empty for the active map.
+         */
+        mapName: {
+            get: function() {
+                return this._mapName;
+            },
+
+            set: function(value) {
+                this._mapName = value || '';
+                this._invalidateSpotData();
+            }
+        },
+
+        /**
+         * Color map of the view. Empty for the color map of the workspace.
+         */
+        colorMapId: {
+            get: function() {
+                return this._colorMapId;
+            },
+
+            set: function(value) {
+                this._colorMapId = value in ColorMap.Maps ? value : '';
+                this._invalidateSpotData();
+            }
+        },
+
+        autoMinMax: {
+            get: function() {
+                return this._autoMinMax;
+            },
+
+            set: function(value) {
+                this._autoMinMax = !!value;
+                this._invalidateSpotData();
+            }
+        },
+
+        /**
+         * Min/max of scaled values of the view's map (if not autoMinMax).
+         */
+        minValue: {
+            get: function() {
+                return this._minValue;
+            },
+
+            set: function(value) {
+                this._minValue = Number(value);
+                this._invalidateSpotData();
+            }
+        },
+
+        maxValue: {
+            get: function() {
+                return this._maxValue;
+            },
+
+            set: function(value) {
+                this._maxValue = Number(value);
+                this._invalidateSpotData();
+            }
+        },
+
+        /**
+         * Spot colors for the view's own map and color map or null if
+         * it shows the active map.
+         */
+        spotData: {
+            get: function() {
+                var spotsController = this._group._spotsController;
+                var measure = this._mapName ? spotsController.findMeasure(this._mapName) : null;
+                // Composite colors of the active map don't use color maps.
+                if (!measure && (!this._colorMapId || spotsController.compositeMode)) return null;
+                if (this._spotDataValid) return this._spotData;
+
+                var intensities = null;
+                if (measure) {
+                    var range = this._autoMinMax ? spotsController.valueRange(measure) :
+                            {min: this._minValue, max: this._maxValue};
+                    intensities = spotsController.computeIntensities(measure, range.min, range.max);
+                } else {
+                    intensities = spotsController.spots.map(function(spot) {
+                        return spot.intensity;
+                    });
+                }
+                var colorMap = this._colorMapId ? ColorMap.Maps[this._colorMapId] : spotsController.colorMap;
+                this._spotData = this._group._scene.updateSpotData(this._spotData, intensities, colorMap);
+                this._spotDataValid = true;
+                return this._spotData;
+            }
+        },
+
+        _invalidateSpotData: {
+            value: function() {
+                var measure = this._mapName && this._group._spotsController.findMeasure(this._mapName);
+                this._caption.textContent = measure ? measure.name : '';
+                this._spotDataValid = false;
+                this._group.requestAnimationFrame();
+            }
+        },
+
+        /**
+         * Moves the camera to the position of the camera of another view.
+         *
+         * @param {Boolean} mirror Reflect the position in the YZ plane going
+         *                  through the target (the other side of the model).
+         */
+        copyCamera: {
+            value: function(view, mirror) {
+                this._camera.position.copy(view.camera.position);
+                if (mirror) {
+                    this._camera.position.x = 2 * this._controls.target.x - this._camera.position.x;
+                }
+                this._controls.update();
+            }
+        },
+
+        /**
+         * Looks at the target from the direction of the preset keeping the
+         * distance.
+         *
+         * @param {String} name Key of View3D.CameraPresets.
+         */
+        setCameraPreset: {
+            value: function(name) {
+                var preset = View3D.CameraPresets[name];
+                if (!preset) throw 'Invalid camera preset: ' + name;
+                var distance = this._camera.position.distanceTo(this._controls.target);
+                this._camera.position.fromArray(preset.direction).multiplyScalar(distance).add(this._controls.target);
+                this._controls.update();
+            }
+        },
+
+        _createPresetButtons: {
+            value: function() {
+                var container = document.createElement('div');
+                container.className = 'camera-presets';
+                Object.keys(View3D.CameraPresets).forEach(function(name) {
+                    var button = document.createElement('button');
+                    button.textContent = View3D.CameraPresets[name].label;
+                    button.title = name.charAt(0).toUpperCase() + name.substr(1) + ' view';
+                    button.onclick = this.setCameraPreset.bind(this, name);
+                    container.appendChild(button);
+                }, this);
+                // Keep clicks from rotating the camera or picking spots.
+                container.onmousedown = function(event) {
+                    event.stopPropagation();
+                };
+                container.ondblclick = function(event) {
+                    event.stopPropagation();
+                };
+                return container;
+            }
+        },
+
         onAnimationFrame: {
             value: function(now) {
                 if (!this._controls.autoRotate) {
@@ -129,6 +333,15 @@ function(OrbitControls, THREE) {
         _onOrbitStart: {
             value: function() {
                 this._controls.autoRotate = false;
+                this._dragging = true;
+            }
+        },
+
+        _onOrbitEnd: {
+            value: function() {
+                this._dragging = false;
+                // Render in full detail.
+                this._group.requestAnimationFrame();
             }
         },
 
@@ -136,6 +349,7 @@ function(OrbitControls, THREE) {
             value: function(event) {
                 if (this._controls.autoRotate) {
                     this._controls.autoRotate = false;
+                    this._group.requestAnimationFrame();
                 } else {
                     this._controls.autoRotate = true;
                     this._controls.autoRotateSpeed = Math.abs(this._controls.autoRotateSpeed) * (event.ctrlKey ? -1 : 1);
@@ -149,7 +363,12 @@ function(OrbitControls, THREE) {
                 return {
                     camera_coords: this._camera.position.toArray(),
                     controls_target: this._controls.target.toArray(),
-                    camera_zoom: this._camera.zoom
+                    camera_zoom: this._camera.zoom,
+                    map_name: this._mapName,
+                    color_map: this._colorMapId,
+                    auto_min_max: this._autoMinMax,
+                    min_value: this._minValue,
+                    max_value: this._maxValue
                 };
             }
         },
@@ -160,6 +379,11 @@ function(OrbitControls, THREE) {
                 this._controls.target.fromArray(json.controls_target);
                 this._camera.zoom = json.camera_zoom;
                 this._controls.update();
+                this.mapName = json.map_name;
+                this.colorMapId = json.color_map;
+                this.autoMinMax = json.auto_min_max !== false;
+                this.minValue = json.min_value || 0;
+                this.maxValue = json.max_value || 0;
             }
         }
     });
@@ -1,9 +1,9 @@
 'use strict';
 
 define([
-    'view2d', 'viewgroup3d', 'viewlegend', 'workspace'
+    'view2d', 'viewgroup3d', 'viewlegend', 'viewgrid2d', 'workspace'
 ],
-function(View2D, ViewGroup3D, ViewLegend, Workspace) {
+function(View2D, ViewGroup3D, ViewLegend, ViewGrid2D, Workspace) {
     function ViewContainer(workspace, div) {
         this._workspace = workspace;
         this._div = div;
@@ -11,8 +11,11 @@ function(View2D, ViewGroup3D, ViewLegend, Workspace) {
         this.v2d = this._createView(View2D, 'div.View2D');
         this.g3d = this._createView(ViewGroup3D, 'div.ViewGroup3D');
         this.legend = this._createView(ViewLegend, 'svg.ViewLegend');
+        this.grid2d = this._createView(ViewGrid2D, 'div.ViewGrid2D');
 
         this._exportPixelRatio3d = 1.0;
+        this._exportAllMaps = false;
+        this._gridMode = false;
 
         this._workspace.addEventListener(Workspace.Events.MODE_CHANGE, this._onWorkspaceModeChange.bind(this));
         this._onWorkspaceModeChange();
@@ -50,7 +53,7 @@ function(View2D, ViewGroup3D, ViewLegend, Workspace) {
                         return 'welcome';
 
                     case Workspace.Mode.MODE_2D:
-                        return 'mode-2d';
+                        return this._gridMode ? 'mode-2d-grid' : 'mode-2d';
 
                     case Workspace.Mode.MODE_3D:
                         return 'mode-3d';
@@ -76,6 +79,8 @@ function(View2D, ViewGroup3D, ViewLegend, Workspace) {
                         canvas.height = height;
                         ctx.putImageData(imageData, 0, 0);
                         this.legend.export(canvas, pixelRatio).then(makeBlob.bind(this, canvas)).catch(reject);
+                    } else if (this._workspace.mode == Workspace.Mode.MODE_2D && this._gridMode) {
+                        this.grid2d.export().then(makeBlob).catch(reject);
                     } else if (this._workspace.mode == Workspace.Mode.MODE_2D) {
                         var canvas = document.createElement('canvas');
                         canvas.width = this._workspace.scene2d.width;
@@ -116,6 +121,62 @@ function(View2D, ViewGroup3D, ViewLegend, Workspace) {
             }
         },
 
+        /**
+         * Exported data tables include values of all maps (not only the
+         * active one).
+         */
+        exportAllMaps: {
+            get: function() {
+                return this._exportAllMaps;
+            },
+
+            set: function(value) {
+                this._exportAllMaps = !!value;
+            }
+        },
+
+        /**
+         * Show several maps side by side in 2D mode (see ViewGrid2D).
+         */
+        gridMode: {
+            get: function() {
+                return this._gridMode;
+            },
+
+            set: function(value) {
+                this._gridMode = !!value;
+                this._onWorkspaceModeChange();
+            }
+        },
+
+        /**
+         * Show tooltips for spots under the cursor in 2D and 3D views.
+         */
+        spotTooltips: {
+            get: function() {
+                return this.v2d.spotTooltips;
+            },
+
+            set: function(value) {
+                this.v2d.spotTooltips = value;
+                this.g3d.spotTooltips = value;
+            }
+        },
+
+        /**
+         * Shape of the selection tool (SelectionTool.Shape).
+         */
+        selectionShape: {
+            get: function() {
+                return this.v2d.selectionShape;
+            },
+
+            set: function(value) {
+                this.v2d.selectionShape = value;
+                this.g3d.selectionShape = value;
+            }
+        },
+
         _onWorkspaceModeChange: {
             value: function() {
                 this._div.setAttribute('layout', this.layoutName);
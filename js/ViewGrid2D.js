@@ -0,0 +1,508 @@
+'use strict';
+
+define([
+    'scene2d', 'spotscontroller', 'three'
+],
+function(Scene2D, SpotsController, THREE) {
+    /**
+     * Small multiples: several maps over the same image in a grid of panels
+     * with shared pan and zoom. Each panel is a 2D canvas colored with
+     * intensities of its own map (see _updatePanels).
+     *
+     * @param {Workspace} workspace
+     * @param {HTMLDivElement} div Empty container.
+     */
+    function ViewGrid2D(workspace, div) {
+        this._div = div;
+        this._spotsController = workspace.spotsController;
+        this._scene = workspace.scene2d;
+        this._width = 0;
+        this._height = 0;
+        this._pixelRatio = 1;
+
+        this._columns = 3;
+        this._mapNames = '';
+        this._legendMode = ViewGrid2D.LegendMode.SHARED;
+        // Panels: {measure, range, colors, canvas}.
+        this._panels = [];
+        this._panelsValid = false;
+        this._panelSize = {width: 0, height: 0};
+        this._legendCanvas = document.createElement('canvas');
+        this._legendCanvas.className = 'legend';
+        this._div.appendChild(this._legendCanvas);
+
+        // Zoom relative to the image fitting a panel and the image point
+        // shown in centers of panels.
+        this._zoom = 1.0;
+        this._center = {x: 0, y: 0};
+        this._dragPoint = null;
+        this._dragHandlers = {
+            'mousemove': this._onDragMove.bind(this),
+            'mouseup': this._onDragEnd.bind(this)
+        };
+        this._redrawRequested = false;
+
+        this._image = new Image();
+        this._image.onload = this.requestRedraw.bind(this);
+
+        this._scene.addEventListener(Scene2D.Events.IMAGE_CHANGE, this._onImageChange.bind(this));
+        var invalidate = this._invalidatePanels.bind(this);
+        for (var i in SpotsController.Events) {
+            if (SpotsController.Events[i] != SpotsController.Events.SELECTION_CHANGE) {
+                this._spotsController.addEventListener(SpotsController.Events[i], invalidate);
+            }
+        }
+
+        this._div.addEventListener('mousedown', this._onMouseDown.bind(this));
+        this._div.addEventListener('wheel', this._onMouseWheel.bind(this));
+        this._div.addEventListener('dblclick', this._onDblClick.bind(this));
+    }
+
+    ViewGrid2D.LegendMode = {
+        SHARED: 'shared',
+        PER_PANEL: 'per-panel'
+    };
+
+    ViewGrid2D.SCALE_CHANGE = 1.1;
+    ViewGrid2D.LEGEND_HEIGHT = 36;
+    ViewGrid2D.FONT_SIZE = 12;
+
+    ViewGrid2D.prototype = Object.create(null, {
+        prepareUpdateLayout: {
+            value: function() {
+                this._width = this._div.clientWidth;
+                this._height = this._div.clientHeight;
+                this._pixelRatio = window.devicePixelRatio;
+            }
+        },
+
+        finishUpdateLayout: {
+            value: function() {
+                this._invalidatePanels();
+            }
+        },
+
+        /**
+         * Number of panels in a row.
+         */
+        columns: {
+            get: function() {
+                return this._columns;
+            },
+
+            set: function(value) {
+                value = Math.round(Number(value));
+                if (!(value >= 1) || value == this._columns) return;
+                this._columns = value;
+                this._invalidatePanels();
+            }
+        },
+
+        /**
+         * Names of maps separated by semicolons. If empty the first
+         * columns * columns maps are shown.
+         */
+        mapNames: {
+            get: function() {
+                return this._mapNames;
+            },
+
+            set: function(value) {
+                this._mapNames = String(value || '');
+                this._invalidatePanels();
+            }
+        },
+
+        /**
+         * SHARED: all panels use the same min/max shown in one legend;
+         * PER_PANEL: each panel has own automatic min/max and legend.
+         */
+        legendMode: {
+            get: function() {
+                return this._legendMode;
+            },
+
+            set: function(value) {
+                if (value != ViewGrid2D.LegendMode.SHARED && value != ViewGrid2D.LegendMode.PER_PANEL) {
+                    throw 'Invalid legend mode: ' + value;
+                }
+                this._legendMode = value;
+                this._invalidatePanels();
+            }
+        },
+
+        requestRedraw: {
+            value: function() {
+                if (this._redrawRequested) return;
+                requestAnimationFrame(this._redraw.bind(this));
+                this._redrawRequested = true;
+            }
+        },
+
+        /**
+         * Draws the grid with panels of the image size.
+         *
+         * @return {Promise} Resolves to the canvas.
+         */
+        export: {
+            value: function() {
+                return new Promise(function(accept, reject) {
+                    this._updatePanels();
+                    if (!this._scene.width || !this._scene.height || !this._panels.length) {
+                        reject();
+                        return;
+                    }
+                    var cell = {width: this._scene.width, height: this._scene.height};
+                    var rows = Math.ceil(this._panels.length / this._columns);
+                    // Keep proportions of text and legends as on the screen.
+                    var textScale = Math.max(1, cell.width / Math.max(1, this._panelSize.width));
+                    var legendHeight = this._legendMode == ViewGrid2D.LegendMode.SHARED ?
+                            ViewGrid2D.LEGEND_HEIGHT * textScale : 0;
+
+                    var canvas = document.createElement('canvas');
+                    canvas.width = cell.width * Math.min(this._columns, this._panels.length);
+                    canvas.height = cell.height * rows + legendHeight;
+                    var ctx = canvas.getContext('2d');
+                    ctx.fillStyle = 'white';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    var transform = {scale: 1, x: 0, y: 0};
+                    this._panels.forEach(function(panel, index) {
+                        ctx.save();
+                        ctx.translate((index % this._columns) * cell.width, Math.floor(index / this._columns) * cell.height);
+                        this._drawPanel(ctx, panel, cell, transform, textScale);
+                        ctx.restore();
+                    }, this);
+                    if (legendHeight) {
+                        ctx.save();
+                        ctx.translate(0, cell.height * rows);
+                        this._drawLegend(ctx, {width: canvas.width, height: legendHeight}, this._panels[0].range, textScale);
+                        ctx.restore();
+                    }
+                    accept(canvas);
+                }.bind(this));
+            }
+        },
+
+        _onImageChange: {
+            value: function() {
+                if (this._scene.imageURL) {
+                    this._image.src = this._scene.imageURL;
+                } else {
+                    this._image.removeAttribute('src');
+                }
+                this._zoom = 1.0;
+                this._center = {x: this._scene.width / 2, y: this._scene.height / 2};
+                this._invalidatePanels();
+            }
+        },
+
+        _invalidatePanels: {
+            value: function() {
+                this._panelsValid = false;
+                this.requestRedraw();
+            }
+        },
+
+        _measures: {
+            value: function() {
+                var spotsController = this._spotsController;
+                var names = this._mapNames.split(';').map(function(name) {
+                    return name.trim();
+                }).filter(function(name) {
+                    return name;
+                });
+                if (!names.length) {
+                    return spotsController.measures.slice(0, this._columns * this._columns);
+                }
+                return names.map(function(name) {
+                    return spotsController.findMeasure(name);
+                }).filter(function(measure) {
+                    return measure;
+                });
+            }
+        },
+
+        /**
+         * Creates canvases of panels and computes colors of spots for maps of
+         * the panels.
+         */
+        _updatePanels: {
+            value: function() {
+                if (this._panelsValid) return;
+                var spotsController = this._spotsController;
+                var measures = this._measures();
+                var ranges = measures.map(function(measure) {
+                    return spotsController.valueRange(measure);
+                });
+                if (this._legendMode == ViewGrid2D.LegendMode.SHARED && ranges.length) {
+                    var shared = {
+                        min: Math.min.apply(null, ranges.map(function(range) { return range.min; })),
+                        max: Math.max.apply(null, ranges.map(function(range) { return range.max; }))
+                    };
+                    ranges = ranges.map(function() {
+                        return shared;
+                    });
+                }
+
+                var oldPanels = this._panels;
+                this._panels = measures.map(function(measure, index) {
+                    var range = ranges[index];
+                    var intensities = spotsController.computeIntensities(measure, range.min, range.max);
+                    var colors = Array.prototype.map.call(intensities, function(intensity) {
+                        if (isNaN(intensity)) return null;
+                        var color = new THREE.Color();
+                        spotsController.colorMap.map(color, intensity);
+                        return color;
+                    });
+                    var canvas = oldPanels[index] ? oldPanels[index].canvas : document.createElement('canvas');
+                    return {
+                        measure: measure,
+                        range: range,
+                        intensities: intensities,
+                        colors: colors,
+                        canvas: canvas
+                    };
+                });
+                oldPanels.slice(measures.length).forEach(function(panel) {
+                    this._div.removeChild(panel.canvas);
+                }, this);
+
+                var rows = Math.max(1, Math.ceil(this._panels.length / this._columns));
+                var legendHeight = this._legendMode == ViewGrid2D.LegendMode.SHARED ? ViewGrid2D.LEGEND_HEIGHT : 0;
+                this._panelSize = {
+                    width: Math.floor(this._width / this._columns),
+                    height: Math.floor((this._height - legendHeight) / rows)
+                };
+                this._panels.forEach(function(panel, index) {
+                    this._placeCanvas(panel.canvas,
+                            (index % this._columns) * this._panelSize.width,
+                            Math.floor(index / this._columns) * this._panelSize.height,
+                            this._panelSize.width, this._panelSize.height);
+                }, this);
+                this._legendCanvas.hidden = !legendHeight;
+                this._placeCanvas(this._legendCanvas, 0, this._height - legendHeight, this._width, legendHeight);
+                this._panelsValid = true;
+            }
+        },
+
+        _placeCanvas: {
+            value: function(canvas, left, top, width, height) {
+                canvas.style.left = left + 'px';
+                canvas.style.top = top + 'px';
+                canvas.style.width = width + 'px';
+                canvas.style.height = height + 'px';
+                canvas.width = width * this._pixelRatio;
+                canvas.height = height * this._pixelRatio;
+                if (!canvas.parentNode) this._div.appendChild(canvas);
+            }
+        },
+
+        /**
+         * Maps image coordinates to panel ones: x * scale + {x, y}.
+         */
+        _panelTransform: {
+            get: function() {
+                var size = this._panelSize;
+                var fit = Math.min(size.width / (this._scene.width || 1), size.height / (this._scene.height || 1));
+                var scale = fit * this._zoom;
+                return {
+                    scale: scale,
+                    x: size.width / 2 - this._center.x * scale,
+                    y: size.height / 2 - this._center.y * scale
+                };
+            }
+        },
+
+        _redraw: {
+            value: function() {
+                this._redrawRequested = false;
+                if (!this._width || !this._height) return;
+                this._updatePanels();
+
+                var transform = this._panelTransform;
+                this._panels.forEach(function(panel) {
+                    var ctx = panel.canvas.getContext('2d');
+                    ctx.setTransform(this._pixelRatio, 0, 0, this._pixelRatio, 0, 0);
+                    this._drawPanel(ctx, panel, this._panelSize, transform, 1);
+                }, this);
+                if (!this._legendCanvas.hidden && this._panels.length) {
+                    var ctx = this._legendCanvas.getContext('2d');
+                    ctx.setTransform(this._pixelRatio, 0, 0, this._pixelRatio, 0, 0);
+                    this._drawLegend(ctx, {width: this._width, height: ViewGrid2D.LEGEND_HEIGHT}, this._panels[0].range, 1);
+                }
+            }
+        },
+
+        /**
+         * Draws the image, spots (like Scene2D.exportSpots), name of the map
+         * and the per panel legend.
+         */
+        _drawPanel: {
+            value: function(ctx, panel, size, transform, textScale) {
+                ctx.clearRect(0, 0, size.width, size.height);
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(0, 0, size.width, size.height);
+                ctx.clip();
+                ctx.transform(transform.scale, 0, 0, transform.scale, transform.x, transform.y);
+                if (this._image.complete && this._image.naturalWidth) {
+                    ctx.drawImage(this._image, 0, 0, this._scene.width, this._scene.height);
+                }
+
+                var spots = this._spotsController.spots;
+                var globalScale = this._spotsController.globalSpotScale;
+                var globalOpacity = this._spotsController.globalSpotOpacity;
+                var borderOpacity = this._spotsController.spotBorder;
+                for (var i = 0; i < spots.length; i++) {
+                    var color = panel.colors[i];
+                    if (!color) continue;
+                    var s = spots[i];
+                    var radius = s.r * s.scale * globalScale;
+                    if (!(radius > 0)) continue;
+
+                    ctx.beginPath();
+                    ctx.arc(s.x, s.y, radius, 0, 2 * Math.PI, false);
+                    var gradient = ctx.createRadialGradient(s.x, s.y, 0, s.x, s.y, radius);
+                    var rgba = 'rgba(' + Math.round(color.r * 255) + ',' + Math.round(color.g * 255) + ',' + Math.round(color.b * 255) + ',';
+                    var opacity = globalOpacity * this._spotsController.opacityFor(s, panel.intensities[i]);
+                    gradient.addColorStop(0, rgba + opacity + ')');
+                    gradient.addColorStop(1, rgba + borderOpacity * opacity + ')');
+                    ctx.fillStyle = gradient;
+                    ctx.fill();
+                }
+                ctx.restore();
+
+                var fontSize = ViewGrid2D.FONT_SIZE * textScale;
+                ctx.font = fontSize + 'px sans-serif';
+                ctx.textBaseline = 'top';
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.fillRect(0, 0, ctx.measureText(panel.measure.name).width + fontSize * 0.6, fontSize * 1.4);
+                ctx.fillStyle = 'black';
+                ctx.fillText(panel.measure.name, fontSize * 0.3, fontSize * 0.2);
+
+                if (this._legendMode == ViewGrid2D.LegendMode.PER_PANEL) {
+                    var legendSize = {
+                        width: Math.min(size.width, 160 * textScale),
+                        height: ViewGrid2D.LEGEND_HEIGHT * textScale
+                    };
+                    ctx.save();
+                    ctx.translate(size.width - legendSize.width, size.height - legendSize.height);
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                    ctx.fillRect(0, 0, legendSize.width, legendSize.height);
+                    this._drawLegend(ctx, legendSize, panel.range, textScale);
+                    ctx.restore();
+                }
+            }
+        },
+
+        /**
+         * Color bar with min and max scaled values.
+         */
+        _drawLegend: {
+            value: function(ctx, size, range, textScale) {
+                var fontSize = ViewGrid2D.FONT_SIZE * textScale;
+                var margin = 4 * textScale;
+                var barHeight = size.height - fontSize - margin * 3;
+                var gradient = ctx.createLinearGradient(margin, 0, size.width - margin, 0);
+                var stops = this._spotsController.colorMap.gradient;
+                for (var stop in stops) {
+                    gradient.addColorStop(parseFloat(stop) / 100, stops[stop]);
+                }
+                ctx.fillStyle = gradient;
+                ctx.fillRect(margin, margin, size.width - margin * 2, barHeight);
+
+                var scale = this._spotsController.scale.legend;
+                ctx.font = fontSize + 'px sans-serif';
+                ctx.textBaseline = 'top';
+                ctx.fillStyle = 'black';
+                var top = margin * 2 + barHeight;
+                ctx.textAlign = 'left';
+                ctx.fillText(Number(range.min).toFixed(3), margin, top);
+                ctx.textAlign = 'center';
+                ctx.fillText(scale, size.width / 2, top);
+                ctx.textAlign = 'right';
+                ctx.fillText(Number(range.max).toFixed(3), size.width - margin, top);
+                ctx.textAlign = 'left';
+            }
+        },
+
+        _onMouseDown: {
+            value: function(event) {
+                event.preventDefault();
+                this._dragPoint = {x: event.pageX, y: event.pageY};
+                for (var i in this._dragHandlers) {
+                    document.addEventListener(i, this._dragHandlers[i], false);
+                }
+            }
+        },
+
+        _onDragMove: {
+            value: function(event) {
+                var scale = this._panelTransform.scale;
+                this._center.x -= (event.pageX - this._dragPoint.x) / scale;
+                this._center.y -= (event.pageY - this._dragPoint.y) / scale;
+                this._dragPoint = {x: event.pageX, y: event.pageY};
+                this.requestRedraw();
+                event.preventDefault();
+            }
+        },
+
+        _onDragEnd: {
+            value: function(event) {
+                for (var i in this._dragHandlers) {
+                    document.removeEventListener(i, this._dragHandlers[i]);
+                }
+                this._dragPoint = null;
+            }
+        },
+
+        /**
+         * Zooms keeping the image point under the cursor in place.
+         */
+        _onMouseWheel: {
+            value: function(event) {
+                if (!event.deltaY || !this._panelSize) return;
+                event.preventDefault();
+                event.stopPropagation();
+
+                var rect = this._div.getBoundingClientRect();
+                var size = this._panelSize;
+                var dx = (event.pageX - rect.left) % size.width - size.width / 2;
+                var dy = (event.pageY - rect.top) % size.height - size.height / 2;
+                var oldScale = this._panelTransform.scale;
+                this._zoom *= event.deltaY < 0 ? ViewGrid2D.SCALE_CHANGE : 1 / ViewGrid2D.SCALE_CHANGE;
+                var newScale = this._panelTransform.scale;
+                this._center.x += dx / oldScale - dx / newScale;
+                this._center.y += dy / oldScale - dy / newScale;
+                this.requestRedraw();
+            }
+        },
+
+        _onDblClick: {
+            value: function(event) {
+                this._zoom = 1.0;
+                this._center = {x: this._scene.width / 2, y: this._scene.height / 2};
+                this.requestRedraw();
+            }
+        },
+
+        toJSON: {
+            value: function() {
+                return {
+                    zoom: this._zoom,
+                    center: this._center
+                };
+            }
+        },
+
+        fromJSON: {
+            value: function(json) {
+                this._zoom = json.zoom;
+                this._center = {x: json.center.x, y: json.center.y};
+                this.requestRedraw();
+            }
+        }
+    });
+
+    return ViewGrid2D;
+});
@@ -1,9 +1,9 @@
 'use strict';
 
 define([
-    'three', 'scene3d', 'view3d', 'spotlabel3d', 'spotscontroller'
+    'three', 'scene3d', 'view3d', 'spotlabel3d', 'spotscontroller', 'spottooltip', 'selectiontool'
 ],
-function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
+function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController, SpotTooltip, SelectionTool) {
     /**
      * Group of View3D's. Manages shared objects: workspace, renderer, canvas.
      *
@@ -25,18 +25,33 @@ function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
         this._pixelRatio = 1;
         this._views = [];
         this._animationFrameRequested = false;
+        this._linkMode = ViewGroup3D.LinkMode.NONE;
+        this._linkingCameras = false;
 
         this._scene = workspace.scene3d;
+        this._spotsController = workspace.spotsController;
+        this._selectionShape = SelectionTool.Shape.RECTANGLE;
         this._scene.addEventListener(Scene3D.Events.CHANGE, this.requestAnimationFrame.bind(this));
         workspace.spotsController.addEventListener(SpotsController.Events.MAPPING_CHANGE, this.requestAnimationFrame.bind(this));
 
+        // Captured before OrbitControls of the views get it.
+        this._div.addEventListener('mousedown', this._onSelectionMouseDown.bind(this), true);
         this._div.addEventListener('mousedown', this._onMouseDown.bind(this));
+        this._div.addEventListener('mousemove', this._onMouseMove.bind(this));
+        this._div.addEventListener('mouseleave', this._onMouseLeave.bind(this));
 
         var divs = this._div.querySelectorAll('.View3D');
         for (var i = 0; i < divs.length; i++) {
             this._views.push(new View3D(this, divs[i]));
         }
         this._spotLabel = new SpotLabel3D(this, this._scene);
+
+        this._spotTooltip = new SpotTooltip(this._div, workspace.spotsController);
+        this._spotTooltips = false;
+        // Only one raycasting for the tooltip runs at a time. Position of
+        // the last mouse move is kept until it completes.
+        this._hoverPromise = null;
+        this._hoverPoint = null;
     }
 
     ViewGroup3D.prototype = Object.create(null, {
@@ -49,8 +64,11 @@ function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
             }
         },
 
+        /**
+         * @param {Boolean} lowDetail Render simplified mesh (if any).
+         */
         _renderTo: {
-            value: function(renderer, scene) {
+            value: function(renderer, scene, lowDetail) {
                 renderer.setClearColor(scene.backgroundColorValue);
                 for (var i = 0; i < this._views.length; i++) {
                     var v = this._views[i];
@@ -59,8 +77,51 @@ function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
                     renderer.setViewport(v.left, viewportBottom, v.width, v.height);
                     renderer.setScissor(v.left, viewportBottom, v.width, v.height);
                     renderer.setScissorTest(true);
-                    scene.render(renderer, v.camera);
+                    scene.render(renderer, v.camera, lowDetail, v.spotData);
+                }
+            }
+        },
+
+        views: {
+            get: function() {
+                return this._views;
+            }
+        },
+
+        /**
+         * How camera movement in one view affects other views.
+         */
+        linkMode: {
+            get: function() {
+                return this._linkMode;
+            },
+
+            set: function(value) {
+                for (var i in ViewGroup3D.LinkMode) {
+                    if (ViewGroup3D.LinkMode[i] == value) {
+                        this._linkMode = value;
+                        if (value != ViewGroup3D.LinkMode.NONE) this.onCameraChange(this._views[0]);
+                        return;
+                    }
+                }
+                throw 'Invalid link mode: ' + value;
+            }
+        },
+
+        /**
+         * Called by views when their camera moves.
+         */
+        onCameraChange: {
+            value: function(view) {
+                if (this._linkMode == ViewGroup3D.LinkMode.NONE || this._linkingCameras) return;
+
+                this._linkingCameras = true;
+                var mirror = this._linkMode == ViewGroup3D.LinkMode.MIRROR;
+                for (var i = 0; i < this._views.length; i++) {
+                    if (this._views[i] !== view) this._views[i].copyCamera(view, mirror);
                 }
+                this._linkingCameras = false;
+                this.requestAnimationFrame();
             }
         },
 
@@ -138,6 +199,8 @@ function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
                     var row = new Uint8Array(pixels.buffer, (imageData.height - 1 - i) * imageData.width * 4, imageData.width * 4);
                     imageData.data.set(row, i * imageData.width * 4);
                 }
+                scene.dispose();
+                renderer.dispose();
             }
         },
 
@@ -147,37 +210,185 @@ function(THREE, Scene3D, View3D, SpotLabel3D, SpotsController) {
                 for (var i = 0; i < this._views.length; i++) {
                     this._views[i].onAnimationFrame(now);
                 }
-                this._renderTo(this._renderer, this._scene);
+                var interacting = this._views.some(function(view) {
+                    return view.interacting;
+                });
+                this._renderTo(this._renderer, this._scene, interacting);
                 this._spotLabel.update();
             }
         },
 
         _onMouseDown: {
             value: function(event) {
+                this._hideTooltip();
                 var parentRect = this._div.getBoundingClientRect();
                 this._spotLabel.showFor(event.pageX - parentRect.left, event.pageY - parentRect.top);
             }
         },
 
+        /**
+         * Shift + mouse draws a shape. Spots projected inside it and not
+         * hidden by the mesh are selected (added to the selection with Ctrl
+         * or Cmd on Mac).
+         */
+        _onSelectionMouseDown: {
+            value: function(event) {
+                if (!event.shiftKey) return;
+                var parentRect = this._div.getBoundingClientRect();
+                var view = this.findView(event.pageX - parentRect.left, event.pageY - parentRect.top);
+                if (!view) return;
+
+                event.stopPropagation();
+                event.preventDefault();
+                this._hideTooltip();
+                var add = event.ctrlKey || event.metaKey;
+                new SelectionTool(this._div, this._selectionShape, function(tool) {
+                    var spots = this._spotsController.spots.filter(function(spot) {
+                        if (isNaN(spot.intensity)) return false;
+                        var position = this._scene.spotToWorld(spot);
+                        if (!position) return false;
+                        var point = view.projectPosition(position);
+                        return Math.abs(point.z) <= 1 &&
+                                tool.contains(point.x + view.left, point.y + view.top);
+                    }, this);
+                    this._scene.findVisibleSpots(spots, view.camera.position).then(function(visible) {
+                        this._spotsController.select(visible, add);
+                    }.bind(this), function() {
+                        // The mesh has changed while testing.
+                    });
+                }.bind(this)).start(event);
+            }
+        },
+
+        _onMouseMove: {
+            value: function(event) {
+                if (!this._spotTooltips) return;
+                if (event.buttons) {
+                    this._hideTooltip();
+                    return;
+                }
+                var parentRect = this._div.getBoundingClientRect();
+                this._hoverPoint = {x: event.pageX - parentRect.left, y: event.pageY - parentRect.top};
+                if (!this._hoverPromise) this._hover();
+            }
+        },
+
+        _onMouseLeave: {
+            value: function(event) {
+                this._hideTooltip();
+            }
+        },
+
+        _hover: {
+            value: function() {
+                var point = this._hoverPoint;
+                this._hoverPoint = null;
+                var view = this.findView(point.x, point.y);
+                if (view) {
+                    var raycaster = new THREE.Raycaster();
+                    view.setupRaycaster(raycaster, point.x, point.y);
+                    this._hoverPromise = this._scene.raycast(raycaster);
+                }
+                if (!this._hoverPromise) {
+                    this._spotTooltip.hide();
+                    return;
+                }
+
+                var onComplete = function(spot) {
+                    this._hoverPromise = null;
+                    if (spot) {
+                        this._spotTooltip.showFor(spot, point.x, point.y);
+                    } else {
+                        this._spotTooltip.hide();
+                    }
+                    if (this._hoverPoint) this._hover();
+                }.bind(this);
+                this._hoverPromise.then(onComplete, function() {
+                    onComplete(null);
+                });
+            }
+        },
+
+        _hideTooltip: {
+            value: function() {
+                if (this._hoverPromise) {
+                    this._hoverPromise.cancel();
+                    this._hoverPromise = null;
+                }
+                this._hoverPoint = null;
+                this._spotTooltip.hide();
+            }
+        },
+
+        /**
+         * Shape drawn with Shift + mouse to select spots.
+         */
+        selectionShape: {
+            get: function() {
+                return this._selectionShape;
+            },
+
+            set: function(value) {
+                this._selectionShape = value;
+            }
+        },
+
+        /**
+         * If enabled the view shows a tooltip for the spot under the cursor.
+         */
+        spotTooltips: {
+            get: function() {
+                return this._spotTooltips;
+            },
+
+            set: function(value) {
+                this._spotTooltips = !!value;
+                if (!value) this._hideTooltip();
+            }
+        },
+
         toJSON: {
             value: function () {
-                var result = [];
+                var views = [];
                 for (var i = 0; i < this._views.length; ++i) {
-                    result.push(this._views[i].toJSON());
+                    views.push(this._views[i].toJSON());
                 }
-                return result;
+                return {
+                    views: views,
+                    link_mode: this._linkMode
+                };
             }
         },
 
+        /**
+         * Also accepts the older format (array of views).
+         */
         fromJSON: {
             value: function (json) {
-                for (var i = 0; i < json.length; i++) {
-                    this._views[i].fromJSON(json[i]);
+                var views = Array.isArray(json) ? json : json.views || [];
+                // Views are restored independently, then linked.
+                this._linkMode = ViewGroup3D.LinkMode.NONE;
+                for (var i = 0; i < views.length; i++) {
+                    this._views[i].fromJSON(views[i]);
+                }
+                if (!Array.isArray(json) && json.link_mode) {
+                    this.linkMode = json.link_mode;
                 }
             }
         }
     });
 
+    /**
+     * NONE: cameras are independent;
+     * ROTATE: all cameras move together;
+     * MIRROR: other views show the model from the mirrored side (left/right).
+     */
+    ViewGroup3D.LinkMode = {
+        NONE: 'none',
+        ROTATE: 'rotate',
+        MIRROR: 'mirror'
+    };
+
     ViewGroup3D.Layout = {
         SINGLE: 'single',
         DOUBLE: 'double',
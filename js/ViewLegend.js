@@ -5,10 +5,47 @@ function(SpotsController) {
     function ViewLegend(workspace, svg) {
         this._spotsController = workspace.spotsController;
         this._svg = svg;
+        this._svg.getElementById('compositeTriangle').setAttributeNS(
+                'http://www.w3.org/1999/xlink', 'href', ViewLegend.createTriangleImage(60, 60));
         this._spotsController.addEventListener(SpotsController.Events.MAPPING_CHANGE, this.update.bind(this));
+        // Automatic min/max of composite channels depend on loaded maps.
+        this._spotsController.addEventListener(SpotsController.Events.INTENSITIES_CHANGE, this.update.bind(this));
         this.update();
     }
 
+    // Longest map name in the composite legend.
+    ViewLegend.MAX_NAME_LENGTH = 16;
+
+    /**
+     * Draws the RGB triangle of the composite mode: corners are pure red
+     * (top), green and blue, inner points mix them by barycentric weights.
+     *
+     * @return {String} Data URL of the PNG image.
+     */
+    ViewLegend.createTriangleImage = function(width, height) {
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        var ctx = canvas.getContext('2d');
+        var imageData = ctx.createImageData(width, height);
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width; x++) {
+                var r = 1 - (y + 0.5) / height;
+                var g = ((width - x - 0.5) / width) - r / 2;
+                var b = 1 - r - g;
+                if (g < 0 || b < 0) continue;
+                var max = Math.max(r, g, b);
+                var offset = (y * width + x) * 4;
+                imageData.data[offset] = Math.round(255 * r / max);
+                imageData.data[offset + 1] = Math.round(255 * g / max);
+                imageData.data[offset + 2] = Math.round(255 * b / max);
+                imageData.data[offset + 3] = 255;
+            }
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas.toDataURL();
+    };
+
     ViewLegend.prototype = Object.create(null, {
         prepareUpdateLayout: {
             value: function() {}
@@ -20,6 +57,16 @@ function(SpotsController) {
 
         update: {
             value: function () {
+                var composite = this._spotsController.compositeMode;
+                this._svg.getElementById('colormap-legend').setAttribute('display', composite ? 'none' : 'inline');
+                this._svg.getElementById('composite-legend').setAttribute('display', composite ? 'inline' : 'none');
+                if (composite) {
+                    this._svg.setAttribute('composite', '');
+                    this._updateComposite();
+                    return;
+                }
+                this._svg.removeAttribute('composite');
+
                 var description = this._spotsController.colorMap.gradient;
 
                 var colorBar = this._svg.getElementById('colorMapGradient');
@@ -43,6 +90,31 @@ function(SpotsController) {
             }
         },
 
+        /**
+         * Labels of composite channels: map name, scale and min/max.
+         */
+        _updateComposite: {
+            value: function() {
+                this._spotsController.compositeChannels.forEach(function(channel, index) {
+                    var label = this._svg.getElementById('channelLabel' + index);
+                    var text = SpotsController.CHANNEL_COLORS[index].charAt(0).toUpperCase() + ': ';
+                    var measure = channel.measure;
+                    if (measure) {
+                        var name = measure.name;
+                        if (name.length > ViewLegend.MAX_NAME_LENGTH) {
+                            name = name.substr(0, ViewLegend.MAX_NAME_LENGTH - 1) + '\u2026';
+                        }
+                        var range = channel.range;
+                        text += name + ' ' + (channel.scale.legend ? channel.scale.legend + ' ' : '') +
+                                Number(range.min).toFixed(3) + '\u2013' + Number(range.max).toFixed(3);
+                    } else {
+                        text += 'none';
+                    }
+                    label.textContent = text;
+                }, this);
+            }
+        },
+
         export: {
             value: function(canvas, scale) {
                 return new Promise(function(accept, reject) {
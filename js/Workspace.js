@@ -2,10 +2,10 @@
 
 define([
     'colormaps', 'eventsource', 'imageloader', 'inputfilesprocessor', 'materialloader',
-    'scene2d', 'scene3d', 'spotscontroller', 'three'
+    'parallelmapper', 'scene2d', 'scene3d', 'spotscontroller', 'three'
 ],
 function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoader,
-    Scene2D, Scene3D, SpotsController, THREE)
+    ParallelMapper, Scene2D, Scene3D, SpotsController, THREE)
 {
     /**
      * Main application workspace. It works in 3 modes:
@@ -28,6 +28,12 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
 
         this._mode = Workspace.Mode.UNDEFINED;
         this._errors = [];
+        this._pendingMeasures = null;
+        this._imzmlFiles = null;
+        this._mzValues = '';
+        this._mzTolerance = 5;
+        this._meshFile = null;
+        this._targetTriangleCount = 0;
         this._spotsController = spotsController;
         this._scene3d = new Scene3D(spotsController);
         this._scene2d = new Scene2D(spotsController);
@@ -36,11 +42,13 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
 
         this._status = '';
         this._tasks = {};
+        this._idleWorkers = {};
         this._settingsToLoad = null;
         this._currentSettings = null;
         this._settingsPatch = {};
 
         this._spotsController.addEventListener(SpotsController.Events.SCALE_CHANGE, this._onSpotScaleChange.bind(this));
+        this._spotsController.addEventListener(SpotsController.Events.MAPPING_MODE_CHANGE, this._onSpotScaleChange.bind(this));
     }
 
     Workspace.Events = {
@@ -75,7 +83,8 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
      * Asynchromous tasks. At most one task with the same key may run
      * (no 2 images could be loading simultaniously). Newer task cancels older one.
      * 'worker' is name of JS file in 'js/workers' or constructor of a Worker-like
-     * class.
+     * class. Workers of persistent tasks are kept after completion and
+     * reused by the next task of the type.
      */
     Workspace.TaskType = {
         DOWNLOAD: {
@@ -103,6 +112,13 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
             worker: 'MeasuresLoader.js'
         },
 
+        // The worker keeps the parsed imzML file for extracting other ions.
+        LOAD_IMZML: {
+            key: 'load-imzml',
+            worker: 'ImzMLLoader.js',
+            persistent: true
+        },
+
         LOAD_SETTINGS: {
             key: 'load-settings',
             worker: 'SettingsLoader.js'
@@ -110,10 +126,19 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
 
         MAP: {
             key: 'map',
-            worker: 'Mapper.js'
+            worker: ParallelMapper
         },
     };
 
+    Workspace._createGeometry = function(attributes) {
+        var geometry = new THREE.BufferGeometry();
+        for (var name in attributes) {
+            var attribute = attributes[name];
+            geometry.addAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
+        }
+        return geometry;
+    };
+
     Workspace.prototype = Object.create(EventSource.prototype, {
         /**
          * Switches the workspace to MODE_2D and starts image loading.
@@ -121,6 +146,8 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
         loadImage: {
             value: function(blob) {
                 this.mode = Workspace.Mode.MODE_2D;
+                this._closeImzML();
+                this._meshFile = null;
 
                 this._scene2d.resetImage();
                 this._doTask(Workspace.TaskType.LOAD_IMAGE, blob[0]).
@@ -136,15 +163,59 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
         loadMesh: {
             value: function(blob) {
                 this.mode = Workspace.Mode.MODE_3D;
+                this._closeImzML();
+                this._meshFile = blob[0];
+                this._loadMesh(false);
+            }
+        },
 
-                this._doTask(Workspace.TaskType.LOAD_MESH, blob[0]).then(function(result) {
-                    var geometry = new THREE.BufferGeometry();
-                    for (var name in result.attributes.geometry) {
-                        var attribute = result.attributes.geometry[name];
-                        geometry.addAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
-                    }
+        /**
+         * Meshes with more triangles are decimated on loading (0 means no
+         * decimation). Changing it reloads the current mesh.
+         */
+        targetTriangleCount: {
+            get: function() {
+                return this._targetTriangleCount;
+            },
+
+            set: function(value) {
+                value = Math.max(0, Math.round(Number(value))) || 0;
+                if (this._targetTriangleCount == value) return;
+                this._targetTriangleCount = value;
+                if (this._meshFile && this._mode == Workspace.Mode.MODE_3D) this._loadMesh(true);
+            }
+        },
+
+        /**
+         * @param {Boolean} reload The same file is loaded again: settings
+         *        of its parts are kept.
+         */
+        _loadMesh: {
+            value: function(reload) {
+                var args = {
+                    file: this._meshFile,
+                    targetTriangleCount: this._targetTriangleCount
+                };
+                this._doTask(Workspace.TaskType.LOAD_MESH, args).then(function(result) {
+                    var geometry = Workspace._createGeometry(result.attributes.geometry);
+                    geometry.setIndex(new THREE.BufferAttribute(result.attributes.index, 1));
                     this._scene3d.materialName = result.attributes.materialName;
+                    if (reload) {
+                        this._scene3d.setReloadedParts(result.attributes.parts);
+                    } else {
+                        this._scene3d.parts = result.attributes.parts;
+                    }
                     this._scene3d.geometry = geometry;
+                    var lod = result.attributes.lod;
+                    if (lod) {
+                        var lodGeometry = Workspace._createGeometry(lod.geometry);
+                        if (result.attributes.parts) {
+                            lod.parts.forEach(function(part, index) {
+                                lodGeometry.addGroup(part.start, part.count, index);
+                            });
+                        }
+                        this._scene3d.setLowDetailGeometry(lodGeometry, lod.sourceIndeces);
+                    }
                     if (this._spotsController.spots) {
                         this._mapMesh(Scene3D.RecoloringMode.USE_COLORMAP);
                     }
@@ -163,22 +234,188 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
         },
 
         /**
-         * Starts loading intensities file.
+         * Starts loading intensities file. If some rows have problems they
+         * are reported as errors and valid rows are kept until
+         * loadValidMeasures is called.
          */
         loadIntensities: {
             value: function(blob) {
-                this._doTask(Workspace.TaskType.LOAD_MEASURES, blob[0]).
+                var args = {
+                    data: blob[0].data,
+                    imageSize: this._mode == Workspace.Mode.MODE_2D && this._scene2d.width ? {
+                        width: this._scene2d.width,
+                        height: this._scene2d.height
+                    } : null
+                };
+                this._pendingMeasures = null;
+                this._closeImzML();
+                this._doTask(Workspace.TaskType.LOAD_MEASURES, args).
                     then(function (result) {
-                        this._spotsController.spots = result.spots;
-                        this._spotsController.measures = result.measures;
-
-                        if (this._mode == Workspace.Mode.MODE_3D) {
-                            this._mapMesh(Scene3D.RecoloringMode.USE_COLORMAP);
+                        if (result.issueCount) {
+                            this._reportMeasuresIssues(result);
+                        } else {
+                            this._applyMeasures(result);
                         }
                     }.bind(this));
             }
         },
 
+        /**
+         * Switches the workspace to MODE_2D and starts loading mass
+         * spectrometry imaging data from imzML and ibd files. Pixels become
+         * spots, TIC image becomes the background.
+         */
+        loadImzML: {
+            value: function(blob) {
+                this.mode = Workspace.Mode.MODE_2D;
+
+                this._imzmlFiles = {
+                    imzml: blob.find(function(file) {
+                        return file.name.toLowerCase().endsWith('.imzml');
+                    }),
+                    ibd: blob.find(function(file) {
+                        return file.name.toLowerCase().endsWith('.ibd');
+                    })
+                };
+                this._scene2d.resetImage();
+                this._extractIons(true);
+            }
+        },
+
+        /**
+         * Comma or space separated list of m/z values extracted from imzML
+         * data as measures.
+         */
+        mzValues: {
+            get: function() {
+                return this._mzValues;
+            },
+
+            set: function(value) {
+                value = String(value);
+                if (this._mzValues == value) return;
+                this._mzValues = value;
+                this._extractIons(false);
+            }
+        },
+
+        /**
+         * Tolerance of m/z values in ppm.
+         */
+        mzTolerance: {
+            get: function() {
+                return this._mzTolerance;
+            },
+
+            set: function(value) {
+                value = Number(value);
+                if (this._mzTolerance == value) return;
+                if (!(value > 0)) {
+                    this._addError('Invalid m/z tolerance: ' + value);
+                    return;
+                }
+                this._mzTolerance = value;
+                this._extractIons(false);
+            }
+        },
+
+        /**
+         * Forgets imzML files and the worker which has them parsed.
+         */
+        _closeImzML: {
+            value: function() {
+                this._imzmlFiles = null;
+                this._terminateIdleWorker(Workspace.TaskType.LOAD_IMZML);
+            }
+        },
+
+        _extractIons: {
+            value: function(updateImage) {
+                if (!this._imzmlFiles) return;
+
+                var mzValues = this._mzValues.split(/[\s,;]+/).map(Number).filter(function(mz) {
+                    return mz > 0;
+                });
+                var args = {
+                    mzValues: mzValues,
+                    tolerance: this._mzTolerance
+                };
+                if (updateImage || !(Workspace.TaskType.LOAD_IMZML.key in this._idleWorkers)) {
+                    // New files or the worker has no parsed file.
+                    args.imzml = this._imzmlFiles.imzml;
+                    args.ibd = this._imzmlFiles.ibd;
+                }
+                this._doTask(Workspace.TaskType.LOAD_IMZML, args).then(function(result) {
+                    if (updateImage || !this._scene2d.hasImage) {
+                        this._setRenderedImage(result.image);
+                    }
+                    this._applyMeasures(result);
+                }.bind(this));
+            }
+        },
+
+        /**
+         * Sets image given as RGBA pixels as the background of the 2D scene.
+         */
+        _setRenderedImage: {
+            value: function(image) {
+                var canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+                canvas.toBlob(function(blob) {
+                    this._scene2d.setImage(URL.createObjectURL(blob), image.width, image.height);
+                }.bind(this));
+            }
+        },
+
+        /**
+         * True if there are valid rows of the measures file which were not
+         * loaded because of problems in other rows.
+         */
+        hasPendingMeasures: {
+            get: function() {
+                return !!this._pendingMeasures;
+            }
+        },
+
+        loadValidMeasures: {
+            value: function() {
+                var measures = this._pendingMeasures;
+                if (!measures) return;
+                this.clearErrors();
+                this._applyMeasures(measures);
+            }
+        },
+
+        _applyMeasures: {
+            value: function(result) {
+                this._spotsController.spots = result.spots;
+                this._spotsController.measures = result.measures;
+
+                if (this._mode == Workspace.Mode.MODE_3D) {
+                    this._mapMesh(Scene3D.RecoloringMode.USE_COLORMAP);
+                }
+            }
+        },
+
+        _reportMeasuresIssues: {
+            value: function(result) {
+                result.issues.forEach(function(issue) {
+                    this._errors.push('Row ' + issue.row +
+                            (issue.column === null ? '' : ', column "' + issue.column + '"') +
+                            ': ' + issue.reason);
+                }, this);
+                if (result.issueCount > result.issues.length) {
+                    this._errors.push('... and ' + (result.issueCount - result.issues.length) + ' more problems');
+                }
+                if (result.spots.length) {
+                    this._pendingMeasures = result;
+                }
+                this._notify(Workspace.Events.ERRORS_CHANGE);
+            }
+        },
+
         loadSettings: {
             value: function (blob) {
                 this._settingsToLoad = blob[0];
@@ -257,6 +494,7 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
         clearErrors: {
             value: function() {
                 this._errors = [];
+                this._pendingMeasures = null;
                 this._notify(Workspace.Events.ERRORS_CHANGE);
             }
         },
@@ -278,24 +516,44 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
                 }
                 var args = {
                     vertices: this._scene3d.geometry.getAttribute('position').array,
+                    index: this._scene3d.geometry.index ? this._scene3d.geometry.index.array : null,
                     spots: this._spotsController.spots,
-                    scale: this._spotsController.globalSpotScale
+                    scale: this._spotsController.globalSpotScale,
+                    interpolation: {
+                        mode: this._spotsController.interpolation,
+                        bandwidth: this._spotsController.interpolationBandwidth
+                    },
+                    geodesic: this._spotsController.geodesicMapping
                 };
                 this._doTask(Workspace.TaskType.MAP, args).then(function(results) {
                     this._scene3d.mapping = {
                         closestSpotIndeces: results.closestSpotIndeces,
                         closestSpotDistances: results.closestSpotDistances,
+                        neighbourCount: results.neighbourCount || 0,
+                        neighbourIndeces: results.neighbourIndeces || null,
+                        neighbourWeights: results.neighbourWeights || null,
                         recoloringMode: recoloringMode
                     };
                 }.bind(this));
             }
         },
 
+        /**
+         * @param {Boolean} keepWorker Keep the worker of a persistent task for
+         *                  the next task (on completion).
+         */
         _cancelTask: {
-            value: function(taskType) {
+            value: function(taskType, keepWorker) {
+                this._terminateIdleWorker(taskType);
                 if (taskType.key in this._tasks) {
-                    this._tasks[taskType.key].worker.onerror = null;
-                    this._tasks[taskType.key].worker.terminate();
+                    var worker = this._tasks[taskType.key].worker;
+                    worker.onerror = null;
+                    if (keepWorker && taskType.persistent) {
+                        worker.onmessage = null;
+                        this._idleWorkers[taskType.key] = worker;
+                    } else {
+                        worker.terminate();
+                    }
                     delete this._tasks[taskType.key];
                 }
                 if (Object.keys(this._tasks).length == 0) {
@@ -304,6 +562,15 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
             }
         },
 
+        _terminateIdleWorker: {
+            value: function(taskType) {
+                if (taskType.key in this._idleWorkers) {
+                    this._idleWorkers[taskType.key].terminate();
+                    delete this._idleWorkers[taskType.key];
+                }
+            }
+        },
+
         _loadPendingSettings: {
             value: function () {
                 if (Object.keys(this._tasks).length == 0) {
@@ -335,12 +602,14 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
          **/
         _doTask: {
             value: function(taskType, args) {
+                var idleWorker = this._idleWorkers[taskType.key];
+                delete this._idleWorkers[taskType.key];
                 if (taskType.key in this._tasks) this._cancelTask(taskType);
 
                 var task = {
-                    worker: typeof taskType.worker == 'function' ?
+                    worker: idleWorker || (typeof taskType.worker == 'function' ?
                         new taskType.worker() :
-                        new Worker(require.toUrl('js/workers/' + taskType.worker)),
+                        new Worker(require.toUrl('js/workers/' + taskType.worker))),
                     status: '',
                     cancel: this._cancelTask.bind(this, taskType),
                     startTime: new Date().valueOf(),
@@ -349,7 +618,7 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
                 var setStatus = this._setStatus.bind(this);
                 var addError = this._addError.bind(this);
 
-                if (typeof taskType.worker == 'function') {
+                if (idleWorker || typeof taskType.worker == 'function') {
                     task.worker.postMessage(args);
                 }
                 return new Promise(function(resolve, reject) {
@@ -358,7 +627,7 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
                             case 'completed':
                                 setStatus('');
                                 resolve(event.data);
-                                task.cancel();
+                                task.cancel(true);
                                 console.info('Task ' + taskType.key + ' completed in ' +
                                     (new Date().valueOf() - task.startTime) /
                                     1000 + ' sec');
@@ -414,6 +683,7 @@ function (ColorMap, EventSource, ImageLoader, InputFilesProcessor, MaterialLoade
                 if (this._mode == Workspace.Mode.MODE_3D) {
                     this._scene2d.resetImage();
                     this._cancelTask(Workspace.TaskType.LOAD_IMAGE);
+                    this._cancelTask(Workspace.TaskType.LOAD_IMZML);
                 }
                 if (this._mode == Workspace.Mode.MODE_2D) {
                     this._scene3d.geometry = null;
@@ -37,6 +37,8 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
         this._appContainer.querySelector('#current-map-label').onclick = this._mapSelector.activate.bind(this._mapSelector);
         this._appContainer.querySelector('#view-container').onmousedown = this._mapSelector.deactivate.bind(this._mapSelector);
         this._appContainer.querySelector('div#errors #close').onclick = this._workspace.clearErrors.bind(this._workspace);
+        this._appContainer.querySelector('div#errors #load-valid-rows').onclick =
+            this._workspace.loadValidMeasures.bind(this._workspace);
 
         window.addEventListener('resize', function () {
             this.resize.call(this, window.innerWidth, window.innerHeight);
@@ -70,6 +72,18 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
             }
         },
 
+        /* Saves values of selected spots (all spots if there is no
+         * selection) as a CSV table. Includes values of all maps if
+         * 'Export all maps' is on.
+         */
+        exportData: {
+            value: function() {
+                var name = this._spotsController.mapName || 'spots';
+                var csv = this._spotsController.toCSV(this._views.exportAllMaps);
+                saveAs(new Blob([csv], {type: 'text/csv'}), name + '.csv');
+            }
+        },
+
         resize: {
             value: function(width, height) {
                 this._views.updateLayout();
@@ -176,6 +190,35 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
             }
         },
 
+        /* @names should be an array of spot names. Other spots get
+         * deselected, unknown names are ignored.
+         */
+        selection: {
+            get: function () {
+                return this._spotsController.selectedNames;
+            },
+            set: function (names) {
+                this._spotsController.selectedNames = names;
+            }
+        },
+
+        clearSelection: {
+            value: function () {
+                this._spotsController.clearSelection();
+            }
+        },
+
+        /* @listener is called with an array of selected spot names each
+         * time the selection changes.
+         */
+        addSelectionListener: {
+            value: function (listener) {
+                this._spotsController.addEventListener(SpotsController.Events.SELECTION_CHANGE, function () {
+                    listener(this._spotsController.selectedNames);
+                }.bind(this));
+            }
+        },
+
         _initKeyboardShortcuts: {
             value: function() {
                 this._keyboardShortcuts = {
@@ -192,6 +235,7 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
                 this._keyboardShortcuts[Utils.isWebkit ? '70' : '102'] = function() { this._mapSelector.activate(); }; // Ctrl + F
                 this._keyboardShortcuts[Utils.isWebkit ? '83' : '115'] = this.takeSnapshot; // Ctrl + S
                 this._keyboardShortcuts[Utils.isWebkit ? '69' : '101'] = this.saveSettings; // Ctrl + E
+                this._keyboardShortcuts['Shift+83'] = this.exportData; // Ctrl + Shift + S
 
                 document.addEventListener(Utils.keyPressEvent(), this._onKeyPress.bind(this), false);
             }
@@ -206,6 +250,7 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
                 }
 
                 var key = (event.which ? event.which : event.keyCode).toString();
+                if (event.shiftKey) key = 'Shift+' + key;
                 if (key in this._keyboardShortcuts) {
                     event.preventDefault();
                     var handler = this._keyboardShortcuts[key];
@@ -255,6 +300,12 @@ function (Workspace, ViewContainer, ViewGroup3D, MapSelector, ColorMap, saveAs,
                     item.textContent = error;
                     list.appendChild(item);
                 });
+                var loadValidButton = errorBox.querySelector('#load-valid-rows');
+                if (this._workspace.hasPendingMeasures) {
+                    loadValidButton.removeAttribute('hidden');
+                } else {
+                    loadValidButton.setAttribute('hidden', 'true');
+                }
                 if (this._workspace.errors.length == 0) {
                     errorBox.setAttribute('hidden', 'true');
                 } else {
@@ -33,6 +33,19 @@ function() {
 
         boundNumber: function (min, value, max) {
             return (value < min) ? min : (value > max) ? max : value;
+        },
+
+        escapeHTML: function (x) {
+            var entityMap = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;'
+            };
+
+            return String(x).replace(/[&<>"]/g, function(s) {
+                return entityMap[s];
+            });
         }
     };
 
@@ -0,0 +1,271 @@
+'use strict';
+
+define(['three'],
+function (THREE) {
+    /**
+     * Parser of glTF 2.0 files (.gltf with embedded buffers and binary .glb).
+     * All triangle primitives of the default scene are merged into one
+     * geometry with node transforms applied. COLOR_0 is stored in the
+     * 'baseColor' attribute. Materials and textures are ignored.
+     */
+    function GLTFParser() {
+    }
+
+    var GLB_MAGIC = 0x46546C67; // 'glTF'
+    var CHUNK_JSON = 0x4E4F534A;
+    var CHUNK_BIN = 0x004E4942;
+    var MODE_TRIANGLES = 4;
+
+    var ComponentTypes = {
+        5120: { array: Int8Array, max: 127, getter: 'getInt8' },
+        5121: { array: Uint8Array, max: 255, getter: 'getUint8' },
+        5122: { array: Int16Array, max: 32767, getter: 'getInt16' },
+        5123: { array: Uint16Array, max: 65535, getter: 'getUint16' },
+        5125: { array: Uint32Array, max: 4294967295, getter: 'getUint32' },
+        5126: { array: Float32Array, max: 1, getter: 'getFloat32' },
+    };
+
+    var ItemSizes = {
+        SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16
+    };
+
+    GLTFParser.prototype = {
+        /**
+         * @param {ArrayBuffer} data Contents of the file.
+         * @return {THREE.BufferGeometry} Non-indexed geometry.
+         */
+        parse: function (data) {
+            var view = new DataView(data);
+            var binary = null;
+            var json;
+            if (data.byteLength >= 12 && view.getUint32(0, true) == GLB_MAGIC) {
+                var chunks = this._parseChunks(view);
+                json = chunks.json;
+                binary = chunks.binary;
+            } else {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(data)));
+            }
+            if (!json.asset || String(json.asset.version)[0] != '2') {
+                throw 'Only glTF 2.0 is supported';
+            }
+
+            this._json = json;
+            this._buffers = (json.buffers || []).map(function (buffer, index) {
+                return this._loadBuffer(buffer, index == 0 ? binary : null);
+            }, this);
+            this._parts = [];
+
+            var scene = json.scenes && json.scenes[json.scene || 0];
+            if (scene) {
+                (scene.nodes || []).forEach(function (node) {
+                    this._addNode(node, new THREE.Matrix4());
+                }, this);
+            } else {
+                (json.meshes || []).forEach(function (mesh, index) {
+                    this._addMesh(index, new THREE.Matrix4());
+                }, this);
+            }
+            if (!this._parts.length) {
+                throw 'glTF file contains no triangle meshes';
+            }
+            return this._merge();
+        },
+
+        _parseChunks: function (view) {
+            var result = { json: null, binary: null };
+            var offset = 12;
+            var length = Math.min(view.getUint32(8, true), view.byteLength);
+            while (offset + 8 <= length) {
+                var chunkLength = view.getUint32(offset, true);
+                var chunkType = view.getUint32(offset + 4, true);
+                offset += 8;
+                if (offset + chunkLength > length) {
+                    throw 'GLB file is truncated';
+                }
+                var chunk = new Uint8Array(view.buffer, offset, chunkLength);
+                if (chunkType == CHUNK_JSON) {
+                    result.json = JSON.parse(new TextDecoder().decode(chunk));
+                } else if (chunkType == CHUNK_BIN) {
+                    result.binary = chunk.slice().buffer;
+                }
+                offset += chunkLength;
+            }
+            if (!result.json) {
+                throw 'GLB file has no JSON chunk';
+            }
+            return result;
+        },
+
+        _loadBuffer: function (buffer, binary) {
+            if (buffer.uri === undefined) {
+                if (!binary) throw 'glTF buffer has no data';
+                return binary;
+            }
+            var match = /^data:[^,]*;base64,(.*)$/.exec(buffer.uri);
+            if (!match) {
+                throw 'External glTF buffers are not supported ("' + buffer.uri +
+                    '"). Use GLB or glTF with embedded buffers.';
+            }
+            var text = atob(match[1]);
+            var bytes = new Uint8Array(text.length);
+            for (var i = 0; i < text.length; i++) {
+                bytes[i] = text.charCodeAt(i);
+            }
+            return bytes.buffer;
+        },
+
+        _addNode: function (index, parentMatrix) {
+            var node = this._json.nodes[index];
+            var matrix = new THREE.Matrix4();
+            if (node.matrix) {
+                matrix.fromArray(node.matrix);
+            } else {
+                matrix.compose(
+                    new THREE.Vector3().fromArray(node.translation || [0, 0, 0]),
+                    new THREE.Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+                    new THREE.Vector3().fromArray(node.scale || [1, 1, 1]));
+            }
+            matrix.premultiply(parentMatrix);
+
+            if (node.mesh !== undefined) {
+                this._addMesh(node.mesh, matrix);
+            }
+            (node.children || []).forEach(function (child) {
+                this._addNode(child, matrix);
+            }, this);
+        },
+
+        _addMesh: function (index, matrix) {
+            var normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+            this._json.meshes[index].primitives.forEach(function (primitive) {
+                var mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+                if (mode != MODE_TRIANGLES || primitive.attributes.POSITION === undefined) {
+                    console.info('Skipping glTF primitive with mode ' + mode);
+                    return;
+                }
+                var position = this._readAccessor(primitive.attributes.POSITION);
+                var part = {
+                    position: position.array,
+                    normal: null,
+                    color: null,
+                    index: null
+                };
+                matrix.applyToVector3Array(part.position);
+                if (primitive.attributes.NORMAL !== undefined) {
+                    part.normal = this._readAccessor(primitive.attributes.NORMAL).array;
+                    normalMatrix.applyToVector3Array(part.normal);
+                }
+                if (primitive.attributes.COLOR_0 !== undefined) {
+                    var color = this._readAccessor(primitive.attributes.COLOR_0, true);
+                    part.color = new Float32Array(position.count * 3);
+                    for (var i = 0; i < position.count; i++) {
+                        for (var k = 0; k < 3; k++) {
+                            part.color[i * 3 + k] = color.array[i * color.itemSize + k];
+                        }
+                    }
+                }
+                if (primitive.indices !== undefined) {
+                    part.index = this._readAccessor(primitive.indices).array;
+                } else {
+                    part.index = new Uint32Array(position.count);
+                    for (var i = 0; i < position.count; i++) {
+                        part.index[i] = i;
+                    }
+                }
+                this._parts.push(part);
+            }, this);
+        },
+
+        /**
+         * @param {Boolean} normalized Forces normalization of integer values.
+         * @return {Object} {array, itemSize, count} with Float32Array.
+         */
+        _readAccessor: function (index, normalized) {
+            var accessor = this._json.accessors[index];
+            var componentType = ComponentTypes[accessor.componentType];
+            var itemSize = ItemSizes[accessor.type];
+            if (!componentType || !itemSize) {
+                throw 'Unsupported glTF accessor type';
+            }
+            var count = accessor.count;
+            var result = new Float32Array(count * itemSize);
+            if (accessor.bufferView === undefined) {
+                return { array: result, itemSize: itemSize, count: count };
+            }
+
+            var bufferView = this._json.bufferViews[accessor.bufferView];
+            var buffer = this._buffers[bufferView.buffer];
+            var elementSize = componentType.array.BYTES_PER_ELEMENT;
+            var stride = bufferView.byteStride || elementSize * itemSize;
+            var offset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+            if (offset + stride * (count - 1) + elementSize * itemSize > buffer.byteLength) {
+                throw 'glTF buffer is truncated';
+            }
+            var scale = (normalized || accessor.normalized) ? 1 / componentType.max : 1;
+            if (stride == elementSize * itemSize && offset % elementSize == 0) {
+                // Tightly packed and aligned: read through a typed array.
+                result.set(new componentType.array(buffer, offset, count * itemSize));
+                if (scale != 1) {
+                    for (var i = 0; i < result.length; i++) {
+                        result[i] *= scale;
+                    }
+                }
+            } else {
+                var view = new DataView(buffer);
+                var getter = view[componentType.getter];
+                for (var i = 0; i < count; i++) {
+                    for (var k = 0; k < itemSize; k++) {
+                        result[i * itemSize + k] = getter.call(view, offset + i * stride + k * elementSize, true) * scale;
+                    }
+                }
+            }
+            return { array: result, itemSize: itemSize, count: count };
+        },
+
+        _merge: function () {
+            var vertexCount = 0;
+            var indexCount = 0;
+            var hasColors = false;
+            var hasNormals = true;
+            this._parts.forEach(function (part) {
+                vertexCount += part.position.length / 3;
+                indexCount += part.index.length;
+                hasColors = hasColors || !!part.color;
+                hasNormals = hasNormals && !!part.normal;
+            });
+
+            var position = new Float32Array(vertexCount * 3);
+            var normal = hasNormals ? new Float32Array(vertexCount * 3) : null;
+            var color = hasColors ? new Float32Array(vertexCount * 3).fill(1) : null;
+            var index = new Uint32Array(indexCount);
+            var vertexOffset = 0;
+            var indexOffset = 0;
+            this._parts.forEach(function (part) {
+                position.set(part.position, vertexOffset * 3);
+                if (normal) normal.set(part.normal, vertexOffset * 3);
+                if (color && part.color) color.set(part.color, vertexOffset * 3);
+                for (var i = 0; i < part.index.length; i++) {
+                    index[indexOffset + i] = part.index[i] + vertexOffset;
+                }
+                vertexOffset += part.position.length / 3;
+                indexOffset += part.index.length;
+            });
+
+            var geometry = new THREE.BufferGeometry();
+            geometry.setIndex(new THREE.BufferAttribute(index, 1));
+            geometry.addAttribute('position', new THREE.BufferAttribute(position, 3));
+            if (color) {
+                geometry.addAttribute('baseColor', new THREE.BufferAttribute(color, 3));
+            }
+            if (normal) {
+                geometry.addAttribute('normal', new THREE.BufferAttribute(normal, 3));
+                geometry.normalizeNormals(); // Node transforms may scale them.
+            } else {
+                geometry.computeVertexNormals();
+            }
+            return geometry.toNonIndexed();
+        }
+    };
+
+    return GLTFParser;
+});
@@ -0,0 +1,377 @@
+/**
+ * Web Worker that loads mass spectrometry imaging data from imzML + ibd
+ * files (continuous and processed modes). Each pixel becomes a spot,
+ * intensities of requested ions (m/z values with a ppm tolerance) become
+ * measures. Total ion count (TIC) is always the first measure and is also
+ * rendered as a grayscale background image.
+ *
+ * The worker stays alive between requests: the spectrum index parsed from
+ * the imzML file (message with 'imzml' and 'ibd') is kept, so requests with
+ * other m/z values or tolerance only read intensities of the ions.
+ */
+
+'use strict';
+
+importScripts('../lib/require.min.js');
+
+require([],
+function () {
+    var dataset = null;
+
+    onmessage = function (e) {
+        try {
+            if (e.data.imzml) {
+                dataset = null;
+                dataset = load(e.data.imzml, e.data.ibd);
+            }
+            if (!dataset) throw 'imzML file is not loaded';
+            var result = extract(dataset, e.data.mzValues || [], e.data.tolerance);
+        } catch (error) {
+            console.info('Failure parsing imzML', error);
+            postMessage({
+                status: 'failed',
+                message: typeof error == 'string' ? error : 'Can not parse imzML file. See log for details.',
+            });
+            return;
+        }
+        result.status = 'completed';
+        postMessage(result);
+    };
+
+    var Accession = {
+        CONTINUOUS: 'IMS:1000030',
+        PROCESSED: 'IMS:1000031',
+        POSITION_X: 'IMS:1000050',
+        POSITION_Y: 'IMS:1000051',
+        EXTERNAL_OFFSET: 'IMS:1000102',
+        EXTERNAL_ARRAY_LENGTH: 'IMS:1000103',
+        MZ_ARRAY: 'MS:1000514',
+        INTENSITY_ARRAY: 'MS:1000515',
+        ZLIB_COMPRESSION: 'MS:1000574',
+    };
+
+    /**
+     * Element types of binary arrays (little-endian in the ibd file).
+     */
+    var DataTypes = {
+        'MS:1000521': { size: 4, read: function (view, offset) { return view.getFloat32(offset, true); } },
+        'MS:1000523': { size: 8, read: function (view, offset) { return view.getFloat64(offset, true); } },
+        'MS:1000519': { size: 4, read: function (view, offset) { return view.getInt32(offset, true); } },
+        'IMS:1000141': { size: 4, read: function (view, offset) { return view.getInt32(offset, true); } },
+        'MS:1000522': { size: 8, read: readInt64 },
+        'IMS:1000142': { size: 8, read: readInt64 },
+    };
+
+    function readInt64(view, offset) {
+        return view.getUint32(offset, true) + view.getInt32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Parses the spectrum index and computes TIC of each spectrum.
+     *
+     * @return {Object} {ibd, sharedMzArray, pixels} where sharedMzArray is
+     *                  the m/z array of all spectra in continuous mode and
+     *                  pixels are {x, y, tic, arrays} for each spectrum.
+     */
+    function load(imzmlFile, ibdFile) {
+        var xml = new FileReaderSync().readAsText(imzmlFile.data);
+        var groups = parseParamGroups(xml);
+        var continuous = xml.indexOf(Accession.CONTINUOUS) >= 0;
+        if (!continuous && xml.indexOf(Accession.PROCESSED) < 0) {
+            throw 'imzML file has neither continuous nor processed mode specified';
+        }
+
+        var ibd = new IbdReader(ibdFile.data);
+        var spectrumPattern = /<spectrum\b[\s\S]*?<\/spectrum>/g;
+        var spectrumCount = (xml.match(/<spectrum\b/g) || []).length;
+        var pixels = [];
+        var sharedMzArray = null;
+        var match;
+        var progress = new Progress('Loading imzML', spectrumCount);
+
+        while ((match = spectrumPattern.exec(xml)) !== null) {
+            var spectrum = match[0];
+            var params = parseCVParams(spectrum);
+            var arrays = parseBinaryArrays(spectrum, groups);
+            if (!arrays.mz || !arrays.intensity) {
+                throw 'Spectrum ' + (pixels.length + 1) + ' has no m/z or intensity array';
+            }
+            if (continuous && !sharedMzArray) {
+                // All spectra share the same m/z array.
+                sharedMzArray = ibd.read(arrays.mz);
+            }
+
+            var pixel = {
+                x: Number(params[Accession.POSITION_X]),
+                y: Number(params[Accession.POSITION_Y]),
+                tic: 0,
+                arrays: arrays,
+            };
+            if (!(pixel.x >= 1) || !(pixel.y >= 1)) {
+                throw 'Spectrum ' + (pixels.length + 1) + ' has invalid position';
+            }
+            var intensities = ibd.read(arrays.intensity);
+            for (var i = 0; i < intensities.length; i++) {
+                pixel.tic += intensities[i];
+            }
+            pixels.push(pixel);
+            progress.report(pixels.length);
+        }
+        if (!pixels.length) {
+            throw 'imzML file contains no spectra';
+        }
+
+        return {
+            ibd: ibd,
+            sharedMzArray: sharedMzArray,
+            pixels: pixels,
+        };
+    }
+
+    /**
+     * Sums intensities of peaks within the tolerance of each m/z value.
+     * Only these peaks are read from the ibd file.
+     */
+    function extract(dataset, mzValues, tolerance) {
+        var ibd = dataset.ibd;
+        var sharedRanges = dataset.sharedMzArray && findRanges(dataset.sharedMzArray, mzValues, tolerance);
+        var progress = new Progress('Extracting ions', dataset.pixels.length);
+        var ions = dataset.pixels.map(function (pixel, index) {
+            var result = new Float64Array(mzValues.length);
+            if (!mzValues.length) return result;
+
+            var ranges = sharedRanges || findRanges(ibd.read(pixel.arrays.mz), mzValues, tolerance);
+            for (var i = 0; i < ranges.length; i++) {
+                if (ranges[i].start == ranges[i].end) continue;
+                var intensities = ibd.read(pixel.arrays.intensity, ranges[i].start, ranges[i].end);
+                for (var j = 0; j < intensities.length; j++) {
+                    result[i] += intensities[j];
+                }
+            }
+            progress.report(index + 1);
+            return result;
+        });
+
+        return makeResult(dataset.pixels, ions, mzValues, tolerance);
+    }
+
+    /**
+     * Posts 'working' messages at most every 100 ms.
+     */
+    function Progress(title, total) {
+        this._title = title;
+        this._total = total;
+        this._reportTime = new Date().valueOf();
+    }
+
+    Progress.prototype = {
+        report: function (done) {
+            var now = new Date().valueOf();
+            if (now <= this._reportTime + 100) return;
+            this._reportTime = now;
+            postMessage({
+                status: 'working',
+                message: this._title + ': ' + Math.floor(100 * done / this._total) + '%',
+            });
+        }
+    };
+
+    /**
+     * @return {Object} Map of referenceableParamGroup id to its cvParams.
+     */
+    function parseParamGroups(xml) {
+        var groups = {};
+        var pattern = /<referenceableParamGroup\s[^>]*id="([^"]*)"[^>]*>([\s\S]*?)<\/referenceableParamGroup>/g;
+        var match;
+        while ((match = pattern.exec(xml)) !== null) {
+            groups[match[1]] = parseCVParams(match[2]);
+        }
+        return groups;
+    }
+
+    /**
+     * @return {Object} Map of accession to value.
+     */
+    function parseCVParams(xml) {
+        var params = {};
+        var pattern = /<cvParam\b[^>]*>/g;
+        var match;
+        while ((match = pattern.exec(xml)) !== null) {
+            var accession = /accession="([^"]*)"/.exec(match[0]);
+            var value = /value="([^"]*)"/.exec(match[0]);
+            if (accession) {
+                params[accession[1]] = value ? value[1] : '';
+            }
+        }
+        return params;
+    }
+
+    function parseBinaryArrays(spectrum, groups) {
+        var result = { mz: null, intensity: null };
+        var pattern = /<binaryDataArray\b[\s\S]*?<\/binaryDataArray>/g;
+        var match;
+        while ((match = pattern.exec(spectrum)) !== null) {
+            var params = parseCVParams(match[0]);
+            var refPattern = /<referenceableParamGroupRef\s+ref="([^"]*)"/g;
+            var ref;
+            while ((ref = refPattern.exec(match[0])) !== null) {
+                params = Object.assign({}, groups[ref[1]], params);
+            }
+            if (Accession.ZLIB_COMPRESSION in params) {
+                throw 'Compressed imzML data is not supported';
+            }
+            var dataType = null;
+            for (var accession in DataTypes) {
+                if (accession in params) dataType = DataTypes[accession];
+            }
+            if (!dataType) {
+                throw 'Unsupported data type of imzML binary array';
+            }
+            var array = {
+                dataType: dataType,
+                offset: Number(params[Accession.EXTERNAL_OFFSET]),
+                length: Number(params[Accession.EXTERNAL_ARRAY_LENGTH]),
+            };
+            if (Accession.MZ_ARRAY in params) {
+                result.mz = array;
+            } else if (Accession.INTENSITY_ARRAY in params) {
+                result.intensity = array;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Reads arrays from the ibd file on demand (it may be too big to be
+     * read at once).
+     */
+    function IbdReader(blob) {
+        this._blob = blob;
+        this._reader = new FileReaderSync();
+    }
+
+    IbdReader.prototype = {
+        /**
+         * Reads elements [start, end) of the array (all by default).
+         */
+        read: function (array, start, end) {
+            start = start || 0;
+            end = end === undefined ? array.length : end;
+            var byteLength = array.length * array.dataType.size;
+            if (!(array.offset >= 0) || array.offset + byteLength > this._blob.size) {
+                throw 'ibd file is truncated or doesn\'t match the imzML file';
+            }
+            var begin = array.offset + start * array.dataType.size;
+            var buffer = this._reader.readAsArrayBuffer(this._blob.slice(begin, begin + (end - start) * array.dataType.size));
+            var view = new DataView(buffer);
+            var result = new Float64Array(end - start);
+            for (var i = 0; i < result.length; i++) {
+                result[i] = array.dataType.read(view, i * array.dataType.size);
+            }
+            return result;
+        }
+    };
+
+    /**
+     * @param {Float64Array} mzArray Sorted m/z values of the spectrum.
+     * @return {Array} {start, end} ranges of peak indeces for each m/z value.
+     */
+    function findRanges(mzArray, mzValues, tolerance) {
+        return mzValues.map(function (mz) {
+            var delta = mz * tolerance * 1e-6;
+            return {
+                start: countBelow(mzArray, mz - delta, false),
+                end: countBelow(mzArray, mz + delta, true)
+            };
+        });
+    }
+
+    /**
+     * @return {Number} Number of elements of the sorted array less than
+     *                  (or equal to if |inclusive|) the value.
+     */
+    function countBelow(array, value, inclusive) {
+        var low = 0;
+        var high = array.length;
+        while (low < high) {
+            var middle = (low + high) >> 1;
+            if (array[middle] < value || inclusive && array[middle] == value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    function makeResult(pixels, ions, mzValues, tolerance) {
+        var width = 0;
+        var height = 0;
+        pixels.forEach(function (pixel) {
+            width = Math.max(width, pixel.x);
+            height = Math.max(height, pixel.y);
+        });
+
+        var spots = pixels.map(function (pixel) {
+            // Pixel (1, 1) covers [0, 1] x [0, 1] in image coordinates.
+            return {
+                name: pixel.x + '_' + pixel.y,
+                x: pixel.x - 0.5,
+                y: pixel.y - 0.5,
+                z: 0,
+                r: 0.5,
+                intensity: NaN,
+                metadata: {},
+            };
+        });
+
+        var measures = [{
+            name: 'TIC',
+            index: 0,
+            values: new Float32Array(pixels.map(function (pixel) {
+                return pixel.tic;
+            })),
+        }];
+        mzValues.forEach(function (mz, i) {
+            measures.push({
+                name: 'm/z ' + mz + ' ± ' + tolerance + ' ppm',
+                index: measures.length,
+                values: new Float32Array(ions.map(function (pixelIons) {
+                    return pixelIons[i];
+                })),
+            });
+        });
+
+        return {
+            spots: spots,
+            measures: measures,
+            image: makeTICImage(pixels, width, height),
+        };
+    }
+
+    /**
+     * Grayscale image of TIC. Pixels without spectra are transparent.
+     */
+    function makeTICImage(pixels, width, height) {
+        var maxTIC = 0;
+        pixels.forEach(function (pixel) {
+            maxTIC = Math.max(maxTIC, pixel.tic);
+        });
+        var data = new Uint8ClampedArray(width * height * 4);
+        pixels.forEach(function (pixel) {
+            var offset = ((pixel.y - 1) * width + pixel.x - 1) * 4;
+            var value = maxTIC ? 255 * pixel.tic / maxTIC : 0;
+            data[offset] = data[offset + 1] = data[offset + 2] = value;
+            data[offset + 3] = 255;
+        });
+        return {
+            width: width,
+            height: height,
+            data: data,
+        };
+    }
+
+    postMessage({
+        status: 'ready'
+    });
+});
@@ -8,71 +8,361 @@
 
 importScripts('../lib/require.min.js');
 
-require([],
-function() {
+require({
+    'paths': {
+        'spatialindex': '../SpatialIndex'
+    }
+}, [
+    'spatialindex'
+],
+function(SpatialIndex) {
+    /**
+     * Number of spots a point is blended from in interpolation modes.
+     */
+    var NEIGHBOUR_COUNT = 4;
+
     onmessage = function(e) {
         var positions = e.data.vertices;
+        // Triangles of indexed geometry (null for non-indexed one).
+        var triangles = e.data.index || null;
         var spots = e.data.spots;
         var globalSpotScale = e.data.scale;
+        var interpolation = e.data.interpolation || { mode: 'nearest' };
 
         var pointCount = (positions.length / 3) | 0;
         var closestSpotIndeces = new Int32Array(pointCount);
         var closestSpotDistances = new Float32Array(pointCount);
-        var progress = -1;
-        var nextChunk = 0;
-        var highlightedVerteces = 0;
+        var index = new SpatialIndex(spots, globalSpotScale);
+        var result = {
+            status: 'completed',
+            closestSpotIndeces: closestSpotIndeces,
+            closestSpotDistances: closestSpotDistances,
+        };
 
-        for (var i = 0; i < pointCount; i++) {
-            while (i >= nextChunk) {
-                progress++;
-                nextChunk = Math.ceil((progress + 1) * pointCount / 100);
+        if (interpolation.mode == 'nearest' && e.data.geodesic) {
+            mapGeodesic(positions, triangles, index, closestSpotIndeces, closestSpotDistances);
+        } else if (interpolation.mode == 'nearest') {
+            mapClosest(positions, index, closestSpotIndeces, closestSpotDistances);
+        } else {
+            result.neighbourCount = NEIGHBOUR_COUNT;
+            result.neighbourIndeces = new Int32Array(pointCount * NEIGHBOUR_COUNT);
+            result.neighbourWeights = new Float32Array(pointCount * NEIGHBOUR_COUNT);
+            mapNeighbours(positions, index, interpolation, result);
+        }
+
+        postMessage(result);
+    };
+
+    function Progress(pointCount, title) {
+        this._pointCount = pointCount;
+        this._title = title || 'Mapping';
+        this._progress = -1;
+        this._nextChunk = 0;
+    }
+
+    Progress.prototype = {
+        update: function(i) {
+            while (i >= this._nextChunk) {
+                this._progress++;
+                this._nextChunk = Math.ceil((this._progress + 1) * this._pointCount / 100);
                 postMessage({
                     status: 'working',
-                    message: 'Mapping: ' + progress + '%',
+                    message: this._title + ': ' + this._progress + '%',
+                    progress: this._progress,
                 });
             }
+        }
+    };
+
+    /**
+     * Finds the closest spot containing each point.
+     */
+    function mapClosest(positions, index, closestSpotIndeces, closestSpotDistances) {
+        var pointCount = closestSpotIndeces.length;
+        var progress = new Progress(pointCount);
+        var closest = { index: -1, squareDistance: Infinity };
+
+        for (var i = 0; i < pointCount; i++) {
+            progress.update(i);
+
             var positionOffset = i * 3;
-            var x = positions[positionOffset + 0];
-            var y = positions[positionOffset + 1];
-            var z = positions[positionOffset + 2];
+            var closestSpotIndex = index.findClosest(
+                    positions[positionOffset + 0],
+                    positions[positionOffset + 1],
+                    positions[positionOffset + 2],
+                    closest);
 
-            var closestSpotIndex = -1;
-            var closesSpotSquareDistance;
+            closestSpotIndeces[i] = closestSpotIndex;
+            if (closestSpotIndex >= 0) {
+                closestSpotDistances[i] = Math.sqrt(closest.squareDistance) / index.radius(closestSpotIndex);
+            } else {
+                closestSpotDistances[i] = 1.0;
+            }
+        }
+    }
 
-            for (var j = 0; j < spots.length; j++) {
-                var spot = spots[j];
+    /**
+     * Finds NEIGHBOUR_COUNT closest spots for each point and their weights.
+     * Inverse-distance weights are normalized so that they sum up to 1.
+     * Gaussian weights are values of the kernel with bandwidth proportional
+     * to the spot radius, so points far from all spots get no color.
+     * The closest spot is also reported as for 'nearest' mode (its relative
+     * distance may exceed 1).
+     */
+    function mapNeighbours(positions, index, interpolation, result) {
+        var pointCount = result.closestSpotIndeces.length;
+        var progress = new Progress(pointCount);
+        var neighbourIndeces = result.neighbourIndeces;
+        var neighbourWeights = result.neighbourWeights;
+        var gaussian = interpolation.mode == 'gaussian';
+        var bandwidth = interpolation.bandwidth > 0 ? interpolation.bandwidth : 1.0;
 
-                var dx = spot.x - x;
-                var dy = spot.y - y;
-                var dz = spot.z - z;
-                var rsq = dx * dx + dy * dy + dz * dz;
+        var indeces = new Int32Array(NEIGHBOUR_COUNT);
+        var squareDistances = new Float32Array(NEIGHBOUR_COUNT);
 
-                if (rsq > spot.r * spot.r * spot.scale * spot.scale * globalSpotScale * globalSpotScale) {
-                    continue;
+        for (var i = 0; i < pointCount; i++) {
+            progress.update(i);
+
+            var positionOffset = i * 3;
+            var found = index.findNearest(
+                    positions[positionOffset + 0],
+                    positions[positionOffset + 1],
+                    positions[positionOffset + 2],
+                    NEIGHBOUR_COUNT, indeces, squareDistances);
+
+            var base = i * NEIGHBOUR_COUNT;
+            var weightSum = 0;
+            for (var j = 0; j < NEIGHBOUR_COUNT; j++) {
+                var weight = 0;
+                if (j < found) {
+                    if (gaussian) {
+                        var h = bandwidth * index.radius(indeces[j]);
+                        weight = Math.exp(-squareDistances[j] / (2 * h * h));
+                    } else if (squareDistances[0] == 0) {
+                        weight = j == 0 ? 1 : 0; // The point coincides with the spot center.
+                    } else {
+                        weight = 1 / squareDistances[j];
+                    }
                 }
+                neighbourIndeces[base + j] = j < found ? indeces[j] : -1;
+                neighbourWeights[base + j] = weight;
+                weightSum += weight;
+            }
+            if (!gaussian && weightSum > 0) {
+                for (var j = 0; j < NEIGHBOUR_COUNT; j++) {
+                    neighbourWeights[base + j] /= weightSum;
+                }
+            }
+
+            result.closestSpotIndeces[i] = found ? indeces[0] : -1;
+            result.closestSpotDistances[i] = found ? Math.sqrt(squareDistances[0]) / index.radius(indeces[0]) : 1.0;
+        }
+    }
 
-                if (closestSpotIndex < 0 || rsq < closesSpotSquareDistance) {
-                    closesSpotSquareDistance = rsq;
-                    closestSpotIndex = j;
+    /**
+     * Finds the closest spot for each point measuring distance along the
+     * surface. Each spot starts from the closest vertex inside it and spreads
+     * over the vertex adjacency graph (multi-source Dijkstra) until its
+     * radius is exhausted, so it doesn't bleed through thin structures.
+     * If |triangles| is null each 3 consecutive points are a triangle.
+     * Points with the same coordinates are connected anyway (indexed
+     * geometry keeps them separate on texture seams).
+     */
+    function mapGeodesic(positions, triangles, index, closestSpotIndeces, closestSpotDistances) {
+        var pointCount = closestSpotIndeces.length;
+        var vertices = weldVertices(positions);
+        var corners = vertices.ids;
+        if (triangles) {
+            corners = new Int32Array(triangles.length);
+            for (var i = 0; i < triangles.length; i++) {
+                corners[i] = vertices.ids[triangles[i]];
+            }
+        }
+        var graph = buildAdjacency(corners, vertices.count);
+        var points = vertices.positions;
+
+        // Seeds: the closest vertex inside each spot.
+        var seedVertex = new Int32Array(index.spotCount).fill(-1);
+        var seedDistance = new Float64Array(index.spotCount).fill(Infinity);
+        var progress = new Progress(vertices.count, 'Mapping (seeds)');
+        for (var v = 0; v < vertices.count; v++) {
+            progress.update(v);
+            index.forEachContaining(points[v * 3], points[v * 3 + 1], points[v * 3 + 2], function(spot, rsq) {
+                if (rsq < seedDistance[spot]) {
+                    seedDistance[spot] = rsq;
+                    seedVertex[spot] = v;
                 }
+            });
+        }
+
+        var distance = new Float64Array(vertices.count).fill(Infinity);
+        var owner = new Int32Array(vertices.count).fill(-1);
+        var heap = new MinHeap(graph.neighbours.length + index.spotCount);
+        for (var s = 0; s < index.spotCount; s++) {
+            var seed = seedVertex[s];
+            if (seed < 0) continue;
+            var d = Math.sqrt(seedDistance[s]);
+            if (d < distance[seed]) {
+                distance[seed] = d;
+                owner[seed] = s;
+                heap.push(seed, d);
             }
+        }
 
-            closestSpotIndeces[i] = closestSpotIndex;
-            if (closestSpotIndex >= 0) {
-                var closestSpot = spots[closestSpotIndex];
-                closestSpotDistances[i] = Math.sqrt(closesSpotSquareDistance) / (closestSpot.r * closestSpot.scale * globalSpotScale);
-                highlightedVerteces++;
-            } else {
-                closestSpotDistances[i] = 1.0;
+        progress = new Progress(vertices.count, 'Mapping along the surface');
+        var settled = 0;
+        while (heap.size) {
+            var d = heap.topKey();
+            var v = heap.pop();
+            if (d > distance[v]) continue; // Outdated entry.
+            progress.update(settled++);
+
+            var radius = index.radius(owner[v]);
+            var x = points[v * 3], y = points[v * 3 + 1], z = points[v * 3 + 2];
+            for (var i = graph.start[v], end = graph.start[v + 1]; i < end; i++) {
+                var u = graph.neighbours[i];
+                var dx = points[u * 3] - x;
+                var dy = points[u * 3 + 1] - y;
+                var dz = points[u * 3 + 2] - z;
+                var nd = d + Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (nd <= radius && nd < distance[u]) {
+                    distance[u] = nd;
+                    owner[u] = owner[v];
+                    heap.push(u, nd);
+                }
             }
         }
 
-        postMessage({
-            status: 'completed',
-            closestSpotIndeces: closestSpotIndeces,
-            closestSpotDistances: closestSpotDistances,
-        });
+        for (var i = 0; i < pointCount; i++) {
+            var v = vertices.ids[i];
+            closestSpotIndeces[i] = owner[v];
+            closestSpotDistances[i] = owner[v] >= 0 ? distance[v] / index.radius(owner[v]) : 1.0;
+        }
+    }
+
+    /**
+     * Merges points with exactly the same coordinates.
+     *
+     * @return {Object} 'ids' maps each point to a unique vertex, 'positions'
+     *                  has coordinates of 'count' unique vertices.
+     */
+    function weldVertices(positions) {
+        if (!(positions instanceof Float32Array)) {
+            positions = new Float32Array(positions);
+        }
+        var pointCount = (positions.length / 3) | 0;
+        var bits = new Uint32Array(positions.buffer, positions.byteOffset, pointCount * 3);
+        var tableSize = 1;
+        while (tableSize < pointCount * 2) tableSize <<= 1;
+        var table = new Int32Array(tableSize).fill(-1);
+
+        var ids = new Int32Array(pointCount);
+        var unique = new Float32Array(pointCount * 3);
+        var count = 0;
+        for (var i = 0; i < pointCount; i++) {
+            var a = bits[i * 3], b = bits[i * 3 + 1], c = bits[i * 3 + 2];
+            var slot = (Math.imul(a, 73856093) ^ Math.imul(b, 19349663) ^ Math.imul(c, 83492791)) & (tableSize - 1);
+            for (;;) {
+                var j = table[slot];
+                if (j < 0) {
+                    table[slot] = i;
+                    ids[i] = count;
+                    unique[count * 3] = positions[i * 3];
+                    unique[count * 3 + 1] = positions[i * 3 + 1];
+                    unique[count * 3 + 2] = positions[i * 3 + 2];
+                    count++;
+                    break;
+                }
+                if (bits[j * 3] == a && bits[j * 3 + 1] == b && bits[j * 3 + 2] == c) {
+                    ids[i] = ids[j];
+                    break;
+                }
+                slot = (slot + 1) & (tableSize - 1);
+            }
+        }
+        return {
+            ids: ids,
+            count: count,
+            positions: unique.subarray(0, count * 3)
+        };
+    }
+
+    /**
+     * Builds vertex adjacency lists (CSR layout) from triangles.
+     */
+    function buildAdjacency(ids, vertexCount) {
+        var triangleCount = (ids.length / 3) | 0;
+        var start = new Int32Array(vertexCount + 1);
+        for (var t = 0; t < triangleCount * 3; t++) {
+            start[ids[t] + 1] += 2;
+        }
+        for (var v = 0; v < vertexCount; v++) {
+            start[v + 1] += start[v];
+        }
+        var neighbours = new Int32Array(start[vertexCount]);
+        var fill = start.slice(0, vertexCount);
+        for (var t = 0; t < triangleCount; t++) {
+            var a = ids[t * 3], b = ids[t * 3 + 1], c = ids[t * 3 + 2];
+            neighbours[fill[a]++] = b;
+            neighbours[fill[a]++] = c;
+            neighbours[fill[b]++] = a;
+            neighbours[fill[b]++] = c;
+            neighbours[fill[c]++] = a;
+            neighbours[fill[c]++] = b;
+        }
+        return {
+            start: start,
+            neighbours: neighbours
+        };
+    }
+
+    /**
+     * Binary heap of integer items ordered by numeric keys.
+     */
+    function MinHeap(capacity) {
+        this._items = new Int32Array(capacity);
+        this._keys = new Float64Array(capacity);
+        this.size = 0;
+    }
+
+    MinHeap.prototype = {
+        push: function(item, key) {
+            var i = this.size++;
+            while (i > 0) {
+                var parent = (i - 1) >> 1;
+                if (this._keys[parent] <= key) break;
+                this._items[i] = this._items[parent];
+                this._keys[i] = this._keys[parent];
+                i = parent;
+            }
+            this._items[i] = item;
+            this._keys[i] = key;
+        },
+
+        topKey: function() {
+            return this._keys[0];
+        },
+
+        pop: function() {
+            var result = this._items[0];
+            var item = this._items[--this.size];
+            var key = this._keys[this.size];
+            var i = 0;
+            for (;;) {
+                var child = i * 2 + 1;
+                if (child >= this.size) break;
+                if (child + 1 < this.size && this._keys[child + 1] < this._keys[child]) child++;
+                if (this._keys[child] >= key) break;
+                this._items[i] = this._items[child];
+                this._keys[i] = this._keys[child];
+                i = child;
+            }
+            this._items[i] = item;
+            this._keys[i] = key;
+            return result;
+        }
     };
+
     postMessage({
         status: 'ready'
     });
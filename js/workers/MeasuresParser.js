@@ -0,0 +1,376 @@
+/**
+ * Papa Parse step/complete handler that collects measures and spots from
+ * rows of the CSV file and posts the result like a worker.
+ * Values may be separated by commas, tabs or semicolons (the delimiter is
+ * detected). The decimal separator of numbers ('.' or ',') is detected by
+ * the first number readable with only one of them ("1.5", "1,234.5",
+ * "1,5"). The other one and spaces may separate thousands.
+ * First row of the CSV file is a header with column names. Columns with
+ * spot attributes are recognized by their names (case-insensitive, in any
+ * order):
+ * - "Name" (or "Spot"). Spot name.
+ * - "X", "Y". Coordinates of the spot.
+ * - "Z". Ignored for MODE_2D (may be absent).
+ * - "Radius" (or "R"). Optional, DEFAULT_RADIUS is used if absent.
+ * If "Name", "X" and "Y" are not found the first 5 columns are considered to
+ * be name, X, Y, Z and radius regardless of their names.
+ *
+ * Coordinates for MODE_2D are in pixels, for MODE_3D are in mesh's units.
+ *
+ * Other columns are measures. Column names are displayed in the
+ * MapSelector. Missing values should have empty cells. That spots won't be
+ * highlighted. Columns with mostly non-numeric values (like "Group" or
+ * "Body part") are categorical metadata. Their values are stored in the
+ * 'metadata' field of the spot.
+ *
+ * Problems in rows (missing or non-numeric values, duplicate spot names,
+ * spots outside of the image) don't stop loading. Such rows are excluded
+ * (of duplicates the first one is kept) and reported in the 'issues' field
+ * of the result as {row, column, reason}.
+ */
+
+'use strict';
+
+define([],
+function() {
+    var DEFAULT_RADIUS = 1.0;
+
+    var COLUMN_NAMES = {
+        name: ['name', 'spot', 'spot name'],
+        x: ['x'],
+        y: ['y'],
+        z: ['z'],
+        r: ['radius', 'r']
+    };
+
+    /**
+     * Numbers with '.' or ',' as the decimal separator: optional sign,
+     * groups of thousands, fraction and exponent.
+     */
+    var NUMBER_PATTERNS = {
+        '.': /^[-+]?(?:\d{1,3}(?:[, \u00a0\u202f]\d{3})+|\d*)(?:\.\d*)?(?:[eE][-+]?\d+)?$/,
+        ',': /^[-+]?(?:\d{1,3}(?:[. \u00a0\u202f]\d{3})+|\d*)(?:,\d*)?(?:[eE][-+]?\d+)?$/
+    };
+
+    /**
+     * Only that many issues are passed to the main thread (all of them
+     * are counted).
+     */
+    var MAX_REPORTED_ISSUES = 1000;
+
+    /**
+     * @param {Object} imageSize {width, height} of the image for MODE_2D.
+     *                 Spots outside of it are reported. May be null.
+     * @param {Function} post Receives messages ('working', 'completed',
+     *                 'failed').
+     */
+    function MeasuresParser(imageSize, post) {
+        this._post = post;
+        this._row = -1;
+        this._progressReportTime = new Date().valueOf();
+        this._imageSize = imageSize || null;
+        this._header = null;
+        this._columnCount = 0;
+        this._columns = null;
+        this._dataColumns = null;
+        this._decimalSeparator = null;
+        this._pendingRows = [];
+        this._names = Object.create(null);
+        this._rowNumbers = [];
+        this._issues = [];
+        this._issueCount = 0;
+        this.spots = [];
+
+        this.step = this._step.bind(this);
+        this.complete = this._complete.bind(this);
+    }
+
+    MeasuresParser.prototype = {
+        _step: function(results, parser) {
+            if (++this._row === 0) {
+                this._handleHeader(results.data[0]);
+                return;
+            }
+
+            if (results.error) {
+                parser.abort();
+                this._reportError('Parsing error');
+                return;
+            }
+
+            var row = results.data[0];
+            if (row.length == 1 && row[0] === '') return; // Ignore empty lines
+            if (row.length < this._columnCount) {
+                this._addIssue(this._row, null, 'Too few elements');
+                return;
+            }
+            if (this._decimalSeparator === null) {
+                // Rows from the first one with numbers depending on the
+                // separator wait until it is known.
+                var ambiguous = this._detectDecimalSeparator(row);
+                if (this._decimalSeparator === null && (ambiguous || this._pendingRows.length)) {
+                    this._pendingRows.push({row: row, number: this._row});
+                    return;
+                }
+                this._handlePendingRows();
+            }
+            this._handleRow(row, this._row);
+
+            if (this._row % 10 === 0) this._reportProgress();
+        },
+
+        _handleRow: function(row, rowNumber) {
+            var columns = this._columns;
+            var spot = {
+                name: row[columns.name],
+                x: this._coordinate(row, columns.x, rowNumber, 'Missing coordinate'),
+                y: this._coordinate(row, columns.y, rowNumber, 'Missing coordinate'),
+                z: columns.z < 0 ? 0 : this._number(row[columns.z]),
+                r: columns.r < 0 ? DEFAULT_RADIUS : this._coordinate(row, columns.r, rowNumber, 'Missing radius'),
+                intensity: NaN,
+            };
+            if (columns.z >= 0 && isNaN(spot.z)) {
+                this._addIssue(rowNumber, this._header[columns.z], 'Not a number');
+            }
+            if (isNaN(spot.x) || isNaN(spot.y) ||
+                isNaN(spot.z) || isNaN(spot.r)) {
+                return;
+            }
+            if (this._imageSize) {
+                var inside = true;
+                if (spot.x < 0 || spot.x > this._imageSize.width) {
+                    this._addIssue(rowNumber, this._header[columns.x], 'Outside of the image');
+                    inside = false;
+                }
+                if (spot.y < 0 || spot.y > this._imageSize.height) {
+                    this._addIssue(rowNumber, this._header[columns.y], 'Outside of the image');
+                    inside = false;
+                }
+                if (!inside) return;
+            }
+            if (spot.name in this._names) {
+                this._addIssue(rowNumber, this._header[columns.name],
+                        'Duplicate spot name "' + spot.name + '" (first in row ' + this._names[spot.name] + ')');
+                return;
+            }
+            this._names[spot.name] = rowNumber;
+
+            for (var j = 0; j < this._dataColumns.length; j++) {
+                this._addValue(this._dataColumns[j], row[this._dataColumns[j].column]);
+            }
+
+            this.spots.push(spot);
+            this._rowNumbers.push(rowNumber);
+        },
+
+        /**
+         * Sets the decimal separator if the row has a number readable with
+         * only one of them.
+         *
+         * @return {Boolean} The row has numbers read differently with
+         *         different separators ("1,234") and the separator is still
+         *         unknown.
+         */
+        _detectDecimalSeparator: function(row) {
+            var ambiguous = false;
+            for (var i = 0; i < row.length; i++) {
+                if (i == this._columns.name) continue;
+                var text = String(row[i]).trim();
+                if (!/\d/.test(text)) continue;
+                var dot = NUMBER_PATTERNS['.'].test(text);
+                var comma = NUMBER_PATTERNS[','].test(text);
+                if (dot && comma) {
+                    if (MeasuresParser._toNumber(text, '.') !== MeasuresParser._toNumber(text, ',')) ambiguous = true;
+                } else if (dot || comma) {
+                    this._decimalSeparator = dot ? '.' : ',';
+                    return false;
+                }
+            }
+            return ambiguous;
+        },
+
+        _handlePendingRows: function() {
+            var rows = this._pendingRows;
+            this._pendingRows = [];
+            for (var i = 0; i < rows.length; i++) {
+                this._handleRow(rows[i].row, rows[i].number);
+            }
+        },
+
+        _handleHeader: function(header) {
+            this._header = header;
+            this._columnCount = header.length;
+            var normalized = header.map(function(name) {
+                return String(name).trim().toLowerCase();
+            });
+            var columns = {};
+            for (var key in COLUMN_NAMES) {
+                columns[key] = -1;
+                for (var i = 0; i < COLUMN_NAMES[key].length && columns[key] < 0; i++) {
+                    columns[key] = normalized.indexOf(COLUMN_NAMES[key][i]);
+                }
+            }
+            if (columns.name < 0 || columns.x < 0 || columns.y < 0) {
+                // Legacy layout: first 5 columns are predefined.
+                columns = { name: 0, x: 1, y: 2, z: 3, r: 4 };
+            }
+            this._columns = columns;
+
+            var reserved = [columns.name, columns.x, columns.y, columns.z, columns.r];
+            this._dataColumns = [];
+            for (var i = 0; i < header.length; i++) {
+                if (reserved.indexOf(i) >= 0) continue;
+                this._dataColumns.push({
+                    name: header[i],
+                    column: i,
+                    numericCount: 0,
+                    nonNumericCount: 0,
+                    values: []
+                });
+            }
+        },
+
+        /**
+         * Non-numeric values are kept as strings until the column type
+         * is known (see _complete).
+         */
+        _addValue: function(dataColumn, value) {
+            var text = value === undefined ? '' : String(value).trim();
+            if (text === '') {
+                dataColumn.values.push(NaN);
+                return;
+            }
+            var number = this._number(text);
+            if (isNaN(number)) {
+                dataColumn.values.push(text);
+                dataColumn.nonNumericCount++;
+            } else {
+                dataColumn.values.push(number);
+                dataColumn.numericCount++;
+            }
+        },
+
+        _coordinate: function(row, column, rowNumber, missingReason) {
+            var text = String(row[column]).trim();
+            var value = text === '' ? NaN : this._number(text);
+            if (isNaN(value)) {
+                this._addIssue(rowNumber, this._header[column], text === '' ? missingReason : 'Not a number');
+            }
+            return value;
+        },
+
+        /**
+         * Until the decimal separator is detected numbers are read with '.'
+         * (they are the same with any separator, see _detectDecimalSeparator).
+         */
+        _number: function(value) {
+            return MeasuresParser._toNumber(String(value).trim(), this._decimalSeparator || '.');
+        },
+
+        _addIssue: function(row, column, reason) {
+            if (++this._issueCount > MAX_REPORTED_ISSUES) return;
+            this._issues.push({
+                row: row,
+                column: column,
+                reason: reason,
+            });
+        },
+
+        _complete: function() {
+            if (this._decimalSeparator === null) {
+                this._decimalSeparator = '.';
+                this._handlePendingRows();
+            }
+            var valid = new Uint8Array(this.spots.length).fill(1);
+            var measureColumns = [];
+            var metadataColumns = [];
+            for (var i = 0; i < this._dataColumns.length; i++) {
+                var c = this._dataColumns[i];
+                if (c.nonNumericCount > c.numericCount) {
+                    c.values = c.values.map(function(x) {
+                        return typeof x == 'string' ? x : isNaN(x) ? '' : String(x);
+                    });
+                    metadataColumns.push(c);
+                    continue;
+                }
+                for (var j = 0; j < c.values.length; j++) {
+                    if (typeof c.values[j] != 'string') continue;
+                    this._addIssue(this._rowNumbers[j], c.name, 'Non-numeric value "' + c.values[j] + '"');
+                    c.values[j] = NaN;
+                    valid[j] = 0;
+                }
+                measureColumns.push(c);
+            }
+
+            var spots = [];
+            var validIndeces = [];
+            for (var i = 0; i < this.spots.length; i++) {
+                if (!valid[i]) continue;
+                var metadata = {};
+                for (var j = 0; j < metadataColumns.length; j++) {
+                    metadata[metadataColumns[j].name] = metadataColumns[j].values[i];
+                }
+                this.spots[i].metadata = metadata;
+                spots.push(this.spots[i]);
+                validIndeces.push(i);
+            }
+
+            // Convert measures in memory efficient format.
+            var measures = measureColumns.map(function(c, index) {
+                var values = new Float32Array(validIndeces.length);
+                for (var i = 0; i < validIndeces.length; i++) {
+                    values[i] = c.values[validIndeces[i]];
+                }
+                return {
+                    name: c.name,
+                    index: index,
+                    values: values,
+                };
+            });
+
+            this._issues.sort(function(a, b) {
+                return a.row - b.row;
+            });
+
+            this._post({
+                status: 'completed',
+                spots: spots,
+                measures: measures,
+                issues: this._issues,
+                issueCount: this._issueCount,
+            });
+        },
+
+        _reportError: function(message) {
+            this._post({
+                status: 'failed',
+                message: 'Failure in row ' + this._row + ': ' + message,
+            });
+        },
+
+        _reportProgress: function() {
+            var now = new Date().valueOf();
+            if (now < this._progressReportTime + 100) return;
+
+            this._progressReportTime = now;
+
+            this._post({
+                status: 'working',
+                message: 'Loading measures: ' + this._row + ' rows processed',
+            });
+        },
+    };
+
+    /**
+     * @param {String} text Trimmed text.
+     * @param {String} separator Decimal separator ('.' or ',').
+     * @return {Number} NaN if |text| isn't a number with |separator|.
+     */
+    MeasuresParser._toNumber = function(text, separator) {
+        if (!/\d/.test(text) || !NUMBER_PATTERNS[separator].test(text)) return NaN;
+        if (separator == '.') return Number(text.replace(/[, \u00a0\u202f]/g, ''));
+        return Number(text.replace(/[. \u00a0\u202f]/g, '').replace(',', '.'));
+    };
+
+    return MeasuresParser;
+});
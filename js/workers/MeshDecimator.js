@@ -0,0 +1,223 @@
+'use strict';
+
+define(['three'],
+function (THREE) {
+    /**
+     * Simplifies non-indexed triangle meshes by vertex clustering: vertices
+     * of each part that fall into the same cell of a uniform grid are merged
+     * into one. The grid resolution is adjusted so the number of remaining
+     * triangles gets close to (but not above) the target.
+     *
+     * @param {THREE.BufferGeometry} geometry Non-indexed geometry.
+     * @param {Array} parts {start, count, ...} vertex ranges (optional).
+     */
+    function MeshDecimator(geometry, parts) {
+        this._geometry = geometry;
+        this._position = geometry.getAttribute('position').array;
+        this._vertexCount = this._position.length / 3;
+        this._parts = parts && parts.length ? parts : [{ start: 0, count: this._vertexCount }];
+
+        geometry.computeBoundingBox();
+        this._min = geometry.boundingBox.min;
+        this._extent = geometry.boundingBox.getSize();
+    }
+
+    MeshDecimator.MAX_ITERATIONS = 6;
+
+    MeshDecimator.prototype = {
+        get triangleCount() {
+            return this._vertexCount / 3;
+        },
+
+        /**
+         * @return {Object} {geometry, parts, sourceIndeces} where geometry is
+         *                  non-indexed, parts have new ranges and
+         *                  sourceIndeces maps vertices of the result to
+         *                  vertices of the original geometry.
+         */
+        decimate: function (targetTriangleCount) {
+            var maxExtent = Math.max(this._extent.x, this._extent.y, this._extent.z);
+            // Surface of a mesh crosses roughly resolution^2 cells, each gives
+            // about 2 triangles.
+            var resolution = Math.sqrt(targetTriangleCount / 2);
+            var best = null;
+            for (var i = 0; i < MeshDecimator.MAX_ITERATIONS; i++) {
+                var clustering = this._cluster(maxExtent / Math.max(1, resolution));
+                if (this._isBetter(clustering, best, targetTriangleCount)) best = clustering;
+                if (clustering.triangleCount <= targetTriangleCount &&
+                        clustering.triangleCount > targetTriangleCount * 0.9) {
+                    break;
+                }
+                resolution *= Math.sqrt(targetTriangleCount / Math.max(1, clustering.triangleCount)) * 0.98;
+            }
+            return this._build(best);
+        },
+
+        /**
+         * The largest result within the target is the best. If there is no
+         * such result the smallest one is.
+         */
+        _isBetter: function (clustering, best, targetTriangleCount) {
+            if (!best) return true;
+            if (clustering.triangleCount <= targetTriangleCount) {
+                return best.triangleCount > targetTriangleCount || clustering.triangleCount > best.triangleCount;
+            }
+            return best.triangleCount > targetTriangleCount && clustering.triangleCount < best.triangleCount;
+        },
+
+        /**
+         * @return {Object} {clusterOf, clusterCount, triangleCount}.
+         */
+        _cluster: function (cellSize) {
+            var position = this._position;
+            var min = this._min;
+            var size = [
+                Math.floor(this._extent.x / cellSize) + 1,
+                Math.floor(this._extent.y / cellSize) + 1,
+                Math.floor(this._extent.z / cellSize) + 1
+            ];
+            var cellCount = size[0] * size[1] * size[2];
+            var clusterOf = new Int32Array(this._vertexCount);
+            var clusters = new Map();
+            var triangleCount = 0;
+
+            this._parts.forEach(function (part, partIndex) {
+                for (var i = part.start; i < part.start + part.count; i++) {
+                    var x = Math.floor((position[i * 3] - min.x) / cellSize);
+                    var y = Math.floor((position[i * 3 + 1] - min.y) / cellSize);
+                    var z = Math.floor((position[i * 3 + 2] - min.z) / cellSize);
+                    // Vertices of different parts are never merged.
+                    var key = partIndex * cellCount + (z * size[1] + y) * size[0] + x;
+                    var cluster = clusters.get(key);
+                    if (cluster === undefined) {
+                        cluster = clusters.size;
+                        clusters.set(key, cluster);
+                    }
+                    clusterOf[i] = cluster;
+                }
+                for (var i = part.start; i + 2 < part.start + part.count; i += 3) {
+                    if (!this._isDegenerate(clusterOf, i)) triangleCount++;
+                }
+            }, this);
+
+            return {
+                clusterOf: clusterOf,
+                clusterCount: clusters.size,
+                triangleCount: triangleCount
+            };
+        },
+
+        _isDegenerate: function (clusterOf, i) {
+            var a = clusterOf[i];
+            var b = clusterOf[i + 1];
+            var c = clusterOf[i + 2];
+            return a == b || b == c || c == a;
+        },
+
+        /**
+         * Vertices of a cluster are placed at the average position, other
+         * attributes are taken from the first vertex of the cluster. Normals
+         * are recomputed from the remaining triangles.
+         */
+        _build: function (clustering) {
+            var position = this._position;
+            var clusterOf = clustering.clusterOf;
+            var clusterCount = clustering.clusterCount;
+            var representatives = new Int32Array(clusterCount).fill(-1);
+            var sums = new Float64Array(clusterCount * 4);
+            for (var i = 0; i < this._vertexCount; i++) {
+                var cluster = clusterOf[i];
+                if (representatives[cluster] < 0) representatives[cluster] = i;
+                sums[cluster * 4] += position[i * 3];
+                sums[cluster * 4 + 1] += position[i * 3 + 1];
+                sums[cluster * 4 + 2] += position[i * 3 + 2];
+                sums[cluster * 4 + 3]++;
+            }
+            var clusterPositions = new Float32Array(clusterCount * 3);
+            for (var i = 0; i < clusterCount; i++) {
+                for (var k = 0; k < 3; k++) {
+                    clusterPositions[i * 3 + k] = sums[i * 4 + k] / sums[i * 4 + 3];
+                }
+            }
+
+            var vertexCount = clustering.triangleCount * 3;
+            var sourceIndeces = new Uint32Array(vertexCount);
+            var vertexClusters = new Uint32Array(vertexCount);
+            var parts = [];
+            var offset = 0;
+            this._parts.forEach(function (part) {
+                var start = offset;
+                for (var i = part.start; i + 2 < part.start + part.count; i += 3) {
+                    if (this._isDegenerate(clusterOf, i)) continue;
+                    for (var k = 0; k < 3; k++) {
+                        vertexClusters[offset] = clusterOf[i + k];
+                        sourceIndeces[offset] = representatives[clusterOf[i + k]];
+                        offset++;
+                    }
+                }
+                parts.push(Object.assign({}, part, { start: start, count: offset - start }));
+            }, this);
+
+            var geometry = new THREE.BufferGeometry();
+            var resultPosition = new Float32Array(vertexCount * 3);
+            for (var i = 0; i < vertexCount; i++) {
+                for (var k = 0; k < 3; k++) {
+                    resultPosition[i * 3 + k] = clusterPositions[vertexClusters[i] * 3 + k];
+                }
+            }
+            geometry.addAttribute('position', new THREE.BufferAttribute(resultPosition, 3));
+            geometry.addAttribute('normal', new THREE.BufferAttribute(
+                this._computeNormals(resultPosition, vertexClusters, clusterCount), 3));
+
+            for (var name in this._geometry.attributes) {
+                if (name == 'position' || name == 'normal') continue;
+                var source = this._geometry.attributes[name];
+                var array = new Float32Array(vertexCount * source.itemSize);
+                for (var i = 0; i < vertexCount; i++) {
+                    for (var k = 0; k < source.itemSize; k++) {
+                        array[i * source.itemSize + k] = source.array[sourceIndeces[i] * source.itemSize + k];
+                    }
+                }
+                geometry.addAttribute(name, new THREE.BufferAttribute(array, source.itemSize));
+            }
+
+            return {
+                geometry: geometry,
+                parts: parts,
+                sourceIndeces: sourceIndeces
+            };
+        },
+
+        /**
+         * Smooth normals: area weighted sums of face normals of each cluster.
+         */
+        _computeNormals: function (position, vertexClusters, clusterCount) {
+            var sums = new Float32Array(clusterCount * 3);
+            var a = new THREE.Vector3();
+            var b = new THREE.Vector3();
+            var c = new THREE.Vector3();
+            for (var i = 0; i < vertexClusters.length; i += 3) {
+                a.fromArray(position, i * 3);
+                b.fromArray(position, i * 3 + 3);
+                c.fromArray(position, i * 3 + 6);
+                c.sub(b);
+                a.sub(b);
+                c.cross(a);
+                for (var k = 0; k < 3; k++) {
+                    var cluster = vertexClusters[i + k];
+                    sums[cluster * 3] += c.x;
+                    sums[cluster * 3 + 1] += c.y;
+                    sums[cluster * 3 + 2] += c.z;
+                }
+            }
+
+            var result = new Float32Array(vertexClusters.length * 3);
+            for (var i = 0; i < vertexClusters.length; i++) {
+                a.fromArray(sums, vertexClusters[i] * 3).normalize().toArray(result, i * 3);
+            }
+            return result;
+        }
+    };
+
+    return MeshDecimator;
+});
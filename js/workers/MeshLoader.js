@@ -1,5 +1,8 @@
 /**
- * Web Worker. Loads a mesh from STL file.
+ * Web Worker. Loads a mesh from STL, OBJ, PLY or glTF/GLB file. Meshes with
+ * more triangles than the target are decimated. Large meshes also get
+ * a simplified version for rendering while the view is being rotated.
+ * Duplicate vertices are welded, so the result is indexed geometry.
  */
 
 'use strict';
@@ -11,38 +14,77 @@ require({
         'utils': '../utils',
         'three': '../lib/three.min',
         'stlloader': '../lib/STLLoader',
-        'objloader': '../lib/OBJLoader'
+        'objloader': '../lib/OBJLoader',
+        'stlparser': 'STLParser',
+        'plyparser': 'PLYParser',
+        'gltfparser': 'GLTFParser',
+        'meshdecimator': 'MeshDecimator',
+        'meshwelder': 'MeshWelder'
     }
 }, [
-    'utils', 'three', 'stlloader', 'objloader'
+    'utils', 'three', 'stlparser', 'objloader', 'plyparser', 'gltfparser', 'meshdecimator', 'meshwelder'
 ],
-function (Utils, THREE, STLLoader, OBJLoader) {
+function (Utils, THREE, STLParser, OBJLoader, PLYParser, GLTFParser, MeshDecimator, MeshWelder) {
+    // Size of the simplified mesh. Meshes up to twice as large are rendered
+    // as is during rotation.
+    var LOD_TRIANGLE_COUNT = 200000;
+    // Vertices closer than this (relative to the model size) are merged.
+    var WELD_TOLERANCE = 1e-6;
+
     onmessage = function(e) {
-        var file = e.data;
+        var file = e.data.file;
+        var targetTriangleCount = e.data.targetTriangleCount;
         try {
             var formatLoader = getFormatLoader(file.name.toLowerCase());
             var mesh = formatLoader(file);
+            var decimator = new MeshDecimator(mesh.geometry, mesh.parts);
+            if (targetTriangleCount > 0 && decimator.triangleCount > targetTriangleCount) {
+                postMessage({
+                    status: 'working',
+                    message: 'Decimating mesh'
+                });
+                var decimated = decimator.decimate(targetTriangleCount);
+                mesh.geometry = decimated.geometry;
+                if (mesh.parts) mesh.parts = decimated.parts;
+                decimator = new MeshDecimator(mesh.geometry, mesh.parts);
+            }
+            var lod = decimator.triangleCount > LOD_TRIANGLE_COUNT * 2 ?
+                decimator.decimate(LOD_TRIANGLE_COUNT) : null;
+
+            var welded = new MeshWelder(mesh.geometry, mesh.parts).weld(WELD_TOLERANCE);
+            mesh.geometry = welded.geometry;
+            if (lod) {
+                for (var i = 0; i < lod.sourceIndeces.length; i++) {
+                    lod.sourceIndeces[i] = welded.vertexMap[lod.sourceIndeces[i]];
+                }
+            }
         } catch (e) {
             console.info('Failure parsing mesh file', e);
             postMessage({
                 status: 'failed',
-                message: 'Can not parse mesh file. See log for details.',
+                message: typeof e == 'string' ? e : 'Can not parse mesh file. See log for details.',
             });
             return;
         }
 
-        // TODO: This only works with binary file format. Handle text format.
         var attributes = {
-            geometry: {},
+            geometry: null,
             materialName: null
         };
         if (mesh.materialName) {
             attributes.materialName = mesh.materialName;
         }
-        for (var name in mesh.geometry.attributes) {
-            attributes.geometry[name] = {
-                array: mesh.geometry.attributes[name].array,
-                itemSize: mesh.geometry.attributes[name].itemSize
+        if (mesh.parts) {
+            attributes.parts = mesh.parts;
+        }
+        attributes.geometry = serializeGeometry(mesh.geometry);
+        // Parts are ranges of the index.
+        attributes.index = mesh.geometry.index.array;
+        if (lod) {
+            attributes.lod = {
+                geometry: serializeGeometry(lod.geometry),
+                parts: lod.parts,
+                sourceIndeces: lod.sourceIndeces
             };
         }
 
@@ -60,7 +102,7 @@ function (Utils, THREE, STLLoader, OBJLoader) {
                 var reader = new FileReaderSync();
                 var contents = reader.readAsArrayBuffer(file.data);
                 return {
-                    geometry: new STLLoader().parse(contents),
+                    geometry: new STLParser().parse(contents),
                     materialName: null
                 };
             }
@@ -70,22 +112,123 @@ function (Utils, THREE, STLLoader, OBJLoader) {
             handler: function (file) {
                 var reader = new FileReaderSync();
                 var contents = reader.readAsText(file.data);
-                var meshes = new OBJLoader().parse(contents);
-                if (meshes.children.length == 0) {
+                var meshes = new OBJLoader().parse(contents).children.filter(function (child) {
+                    return child instanceof THREE.Mesh;
+                });
+                if (meshes.length == 0) {
                     throw 'File "' + file.name + '" contains no meshes.';
-                } else if (meshes.children.length > 1) {
-                    console.info('File "' + file.name + '" contains ' + meshes.children.length.toString()
-                        + 'meshes. Only one of them will be loaded');
                 }
-                var lastMesh = meshes.children[0];
+                return mergeMeshes(meshes);
+            }
+        },
+        PLY: {
+            extension: 'ply',
+            handler: function (file) {
+                var reader = new FileReaderSync();
+                var contents = reader.readAsArrayBuffer(file.data);
                 return {
-                    geometry: lastMesh.geometry,
-                    materialName: lastMesh.material.name
-                }
+                    geometry: new PLYParser().parse(contents),
+                    materialName: null
+                };
+            }
+        },
+        GLTF: {
+            extension: 'gltf',
+            handler: function (file) {
+                return FormatLoaders.GLB.handler(file);
+            }
+        },
+        GLB: {
+            extension: 'glb',
+            handler: function (file) {
+                var reader = new FileReaderSync();
+                var contents = reader.readAsArrayBuffer(file.data);
+                return {
+                    geometry: new GLTFParser().parse(contents),
+                    materialName: null
+                };
             }
         }
     };
 
+    /**
+     * Merges meshes into a single geometry. Each mesh (or each material
+     * group of a mesh with multiple materials) becomes a part: a range of
+     * vertices with its own name and material.
+     */
+    function mergeMeshes(meshes) {
+        var ATTRIBUTES = { position: 3, normal: 3, uv: 2 };
+        var vertexCount = 0;
+        var present = {};
+        meshes.forEach(function (mesh) {
+            if (!mesh.geometry.getAttribute('normal')) {
+                mesh.geometry.computeVertexNormals();
+            }
+            vertexCount += mesh.geometry.getAttribute('position').count;
+            for (var name in ATTRIBUTES) {
+                present[name] = present[name] || !!mesh.geometry.getAttribute(name);
+            }
+        });
+
+        var geometry = new THREE.BufferGeometry();
+        for (var name in ATTRIBUTES) {
+            if (present[name]) {
+                geometry.addAttribute(name, new THREE.BufferAttribute(
+                    new Float32Array(vertexCount * ATTRIBUTES[name]), ATTRIBUTES[name]));
+            }
+        }
+
+        var parts = [];
+        var usedNames = {};
+        var addPart = function (name, materialName, start, count) {
+            name = name || materialName || 'Object ' + (parts.length + 1);
+            // Names identify parts in settings so they have to be unique.
+            for (var i = 2, base = name; name in usedNames; i++) {
+                name = base + ' ' + i;
+            }
+            usedNames[name] = true;
+            parts.push({ name: name, materialName: materialName || null, start: start, count: count });
+        };
+
+        var offset = 0;
+        meshes.forEach(function (mesh) {
+            for (var name in ATTRIBUTES) {
+                var attribute = mesh.geometry.getAttribute(name);
+                if (attribute) {
+                    geometry.getAttribute(name).array.set(attribute.array, offset * ATTRIBUTES[name]);
+                }
+            }
+            var count = mesh.geometry.getAttribute('position').count;
+            if (mesh.material.materials) {
+                mesh.geometry.groups.forEach(function (group) {
+                    var materialName = mesh.material.materials[group.materialIndex].name;
+                    addPart(mesh.name && materialName ? mesh.name + ' (' + materialName + ')' : mesh.name,
+                        materialName, offset + group.start, Math.min(group.count, count - group.start));
+                });
+            } else {
+                addPart(mesh.name, mesh.material.name, offset, count);
+            }
+            offset += count;
+        });
+
+        return {
+            geometry: geometry,
+            materialName: parts[0].materialName,
+            parts: parts
+        };
+    }
+
+    function serializeGeometry(geometry) {
+        var result = {};
+        for (var name in geometry.attributes) {
+            result[name] = {
+                array: geometry.attributes[name].array,
+                itemSize: geometry.attributes[name].itemSize
+            };
+        }
+        return result;
+    }
+
     function getFormatLoader(fileUrl) {
         var extension = Utils.getFileExtension(fileUrl);
         var matchedFileHandler = null;
@@ -0,0 +1,161 @@
+'use strict';
+
+define(['three'],
+function (THREE) {
+    /**
+     * Converts non-indexed geometry into indexed one merging vertices whose
+     * positions are closer than the tolerance (positions are snapped to a grid
+     * with that step). Vertices with different values of other attributes
+     * (uv, baseColor) or belonging to different parts are kept separate.
+     * Vertices are merged only if their normals differ less than
+     * MeshWelder.CREASE_ANGLE, so hard edges stay sharp. Normals of merged
+     * vertices are averaged.
+     *
+     * @param {THREE.BufferGeometry} geometry Non-indexed geometry.
+     * @param {Array} parts {start, count, ...} vertex ranges (optional). They
+     *                remain valid as ranges of the index.
+     */
+    function MeshWelder(geometry, parts) {
+        this._geometry = geometry;
+        this._position = geometry.getAttribute('position').array;
+        this._vertexCount = this._position.length / 3;
+        this._parts = parts || [];
+    }
+
+    /**
+     * Maximum angle (degrees) between normals of vertices to be merged.
+     */
+    MeshWelder.CREASE_ANGLE = 30;
+
+    MeshWelder.prototype = {
+        /**
+         * @param {Number} tolerance Relative to the size of the model.
+         * @return {Object} {geometry, vertexMap} where vertexMap maps original
+         *                  vertices to vertices of the indexed geometry.
+         */
+        weld: function (tolerance) {
+            var quantized = this._quantize(tolerance);
+            if (!this._geometry.getAttribute('normal')) {
+                // Face normals of the non-indexed geometry.
+                this._geometry.computeVertexNormals();
+            }
+            var normal = this._geometry.getAttribute('normal').array;
+            var minCos = Math.cos(MeshWelder.CREASE_ANGLE * Math.PI / 180);
+            var attributes = [];
+            for (var name in this._geometry.attributes) {
+                if (name != 'position' && name != 'normal') {
+                    attributes.push(this._geometry.attributes[name]);
+                }
+            }
+
+            var tableSize = 1;
+            while (tableSize < this._vertexCount * 2) tableSize <<= 1;
+            var table = new Int32Array(tableSize).fill(-1);
+            var vertexMap = new Uint32Array(this._vertexCount);
+            var representatives = new Uint32Array(this._vertexCount);
+            var count = 0;
+
+            // Vertices may only be merged with vertices of the same part
+            // (parts are ordered, so they follow the start of the part).
+            var partStart = new Int32Array(this._vertexCount);
+            this._parts.forEach(function (part) {
+                partStart.fill(part.start, part.start, part.start + part.count);
+            });
+
+            for (var i = 0; i < this._vertexCount; i++) {
+                var x = quantized[i * 3], y = quantized[i * 3 + 1], z = quantized[i * 3 + 2];
+                var slot = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & (tableSize - 1);
+                for (;;) {
+                    var j = table[slot];
+                    if (j < 0) {
+                        table[slot] = i;
+                        vertexMap[i] = count;
+                        representatives[count++] = i;
+                        break;
+                    }
+                    if (j >= partStart[i] &&
+                            quantized[j * 3] == x && quantized[j * 3 + 1] == y && quantized[j * 3 + 2] == z &&
+                            this._sameAttributes(attributes, i, j) &&
+                            this._sameDirection(normal, i, j, minCos)) {
+                        vertexMap[i] = vertexMap[j];
+                        break;
+                    }
+                    slot = (slot + 1) & (tableSize - 1);
+                }
+            }
+
+            return {
+                geometry: this._build(vertexMap, representatives.subarray(0, count)),
+                vertexMap: vertexMap
+            };
+        },
+
+        _quantize: function (tolerance) {
+            this._geometry.computeBoundingBox();
+            var min = this._geometry.boundingBox.min;
+            var step = tolerance * this._geometry.boundingBox.getSize().length() || 1;
+            var position = this._position;
+            var result = new Int32Array(position.length);
+            for (var i = 0; i < this._vertexCount; i++) {
+                result[i * 3] = Math.round((position[i * 3] - min.x) / step);
+                result[i * 3 + 1] = Math.round((position[i * 3 + 1] - min.y) / step);
+                result[i * 3 + 2] = Math.round((position[i * 3 + 2] - min.z) / step);
+            }
+            return result;
+        },
+
+        _sameAttributes: function (attributes, i, j) {
+            for (var a = 0; a < attributes.length; a++) {
+                var array = attributes[a].array;
+                var itemSize = attributes[a].itemSize;
+                for (var k = 0; k < itemSize; k++) {
+                    if (array[i * itemSize + k] != array[j * itemSize + k]) return false;
+                }
+            }
+            return true;
+        },
+
+        // Compares the normal of |i| with normal of the representative |j|.
+        _sameDirection: function (normal, i, j, minCos) {
+            var dot = normal[i * 3] * normal[j * 3] +
+                    normal[i * 3 + 1] * normal[j * 3 + 1] +
+                    normal[i * 3 + 2] * normal[j * 3 + 2];
+            var length = Math.sqrt(
+                    (normal[i * 3] * normal[i * 3] + normal[i * 3 + 1] * normal[i * 3 + 1] + normal[i * 3 + 2] * normal[i * 3 + 2]) *
+                    (normal[j * 3] * normal[j * 3] + normal[j * 3 + 1] * normal[j * 3 + 1] + normal[j * 3 + 2] * normal[j * 3 + 2]));
+            return !length || dot >= minCos * length;
+        },
+
+        _build: function (vertexMap, representatives) {
+            var count = representatives.length;
+            var geometry = new THREE.BufferGeometry();
+            var IndexArray = count > 65535 ? Uint32Array : Uint16Array;
+            geometry.setIndex(new THREE.BufferAttribute(new IndexArray(vertexMap), 1));
+
+            for (var name in this._geometry.attributes) {
+                if (name == 'normal') continue;
+                var source = this._geometry.attributes[name];
+                var array = new Float32Array(count * source.itemSize);
+                for (var i = 0; i < count; i++) {
+                    for (var k = 0; k < source.itemSize; k++) {
+                        array[i * source.itemSize + k] = source.array[representatives[i] * source.itemSize + k];
+                    }
+                }
+                geometry.addAttribute(name, new THREE.BufferAttribute(array, source.itemSize));
+            }
+
+            var normal = this._geometry.getAttribute('normal');
+            var sums = new Float32Array(count * 3);
+            for (var i = 0; i < this._vertexCount; i++) {
+                for (var k = 0; k < 3; k++) {
+                    sums[vertexMap[i] * 3 + k] += normal.array[i * 3 + k];
+                }
+            }
+            geometry.addAttribute('normal', new THREE.BufferAttribute(sums, 3));
+            geometry.normalizeNormals();
+            return geometry;
+        }
+    };
+
+    return MeshWelder;
+});
@@ -0,0 +1,257 @@
+'use strict';
+
+define(['three'],
+function (THREE) {
+    /**
+     * Parser of PLY files (ASCII and binary). Faces are triangulated,
+     * vertex colors (if any) are stored in the 'baseColor' attribute.
+     */
+    function PLYParser() {
+    }
+
+    var PropertyTypes = {
+        char: { size: 1, getter: 'getInt8', max: 1 },
+        int8: { size: 1, getter: 'getInt8', max: 1 },
+        uchar: { size: 1, getter: 'getUint8', max: 255 },
+        uint8: { size: 1, getter: 'getUint8', max: 255 },
+        short: { size: 2, getter: 'getInt16', max: 1 },
+        int16: { size: 2, getter: 'getInt16', max: 1 },
+        ushort: { size: 2, getter: 'getUint16', max: 65535 },
+        uint16: { size: 2, getter: 'getUint16', max: 65535 },
+        int: { size: 4, getter: 'getInt32', max: 1 },
+        int32: { size: 4, getter: 'getInt32', max: 1 },
+        uint: { size: 4, getter: 'getUint32', max: 1 },
+        uint32: { size: 4, getter: 'getUint32', max: 1 },
+        float: { size: 4, getter: 'getFloat32', max: 1 },
+        float32: { size: 4, getter: 'getFloat32', max: 1 },
+        double: { size: 8, getter: 'getFloat64', max: 1 },
+        float64: { size: 8, getter: 'getFloat64', max: 1 },
+    };
+
+    var COLOR_PROPERTIES = [
+        ['red', 'green', 'blue'],
+        ['r', 'g', 'b'],
+        ['diffuse_red', 'diffuse_green', 'diffuse_blue']
+    ];
+
+    PLYParser.prototype = {
+        /**
+         * @param {ArrayBuffer} data Contents of the file.
+         * @return {THREE.BufferGeometry} Non-indexed geometry.
+         */
+        parse: function (data) {
+            var header = this._parseHeader(data);
+            var reader = header.format == 'ascii' ?
+                new AsciiReader(data, header.length) :
+                new BinaryReader(data, header.length, header.format == 'binary_little_endian');
+
+            var vertices = null;
+            var indeces = [];
+            header.elements.forEach(function (element) {
+                if (element.name == 'vertex') {
+                    vertices = this._readVertices(reader, element);
+                } else if (element.name == 'face') {
+                    this._readFaces(reader, element, indeces);
+                } else {
+                    this._skipElement(reader, element);
+                }
+            }, this);
+
+            if (!vertices || !vertices.count) {
+                throw 'PLY file contains no vertices';
+            }
+            if (!indeces.length) {
+                throw 'PLY file contains no faces (point clouds are not supported)';
+            }
+            for (var i = 0; i < indeces.length; i++) {
+                if (!(indeces[i] >= 0 && indeces[i] < vertices.count)) {
+                    throw 'PLY file has invalid vertex index: ' + indeces[i];
+                }
+            }
+
+            var geometry = new THREE.BufferGeometry();
+            geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indeces), 1));
+            geometry.addAttribute('position', new THREE.BufferAttribute(vertices.position, 3));
+            if (vertices.color) {
+                geometry.addAttribute('baseColor', new THREE.BufferAttribute(vertices.color, 3));
+            }
+            if (vertices.normal) {
+                geometry.addAttribute('normal', new THREE.BufferAttribute(vertices.normal, 3));
+            } else {
+                geometry.computeVertexNormals();
+            }
+            return geometry.toNonIndexed();
+        },
+
+        _parseHeader: function (data) {
+            var bytes = new Uint8Array(data, 0, Math.min(data.byteLength, 65536));
+            var text = '';
+            for (var i = 0; i < bytes.length; i++) {
+                text += String.fromCharCode(bytes[i]);
+            }
+            var end = /end_header\r?\n/.exec(text);
+            if (text.substr(0, 3) != 'ply' || !end) {
+                throw 'Invalid PLY header';
+            }
+
+            var header = {
+                format: null,
+                elements: [],
+                length: end.index + end[0].length
+            };
+            text.substr(0, end.index).split(/\r?\n/).forEach(function (line) {
+                var tokens = line.trim().split(/\s+/);
+                switch (tokens[0]) {
+                    case 'format':
+                        header.format = tokens[1];
+                        break;
+                    case 'element':
+                        header.elements.push({ name: tokens[1], count: Number(tokens[2]), properties: [] });
+                        break;
+                    case 'property':
+                        var element = header.elements[header.elements.length - 1];
+                        if (!element) throw 'PLY property outside of element';
+                        element.properties.push(tokens[1] == 'list' ? {
+                            name: tokens[4],
+                            countType: this._propertyType(tokens[2]),
+                            type: this._propertyType(tokens[3])
+                        } : {
+                            name: tokens[2],
+                            type: this._propertyType(tokens[1])
+                        });
+                        break;
+                }
+            }, this);
+
+            if (['ascii', 'binary_little_endian', 'binary_big_endian'].indexOf(header.format) < 0) {
+                throw 'Unsupported PLY format: ' + header.format;
+            }
+            return header;
+        },
+
+        _propertyType: function (name) {
+            if (!(name in PropertyTypes)) {
+                throw 'Unsupported PLY property type: ' + name;
+            }
+            return PropertyTypes[name];
+        },
+
+        _readVertices: function (reader, element) {
+            var names = element.properties.map(function (p) {
+                return p.name;
+            });
+            var position = ['x', 'y', 'z'].map(names.indexOf, names);
+            var normal = ['nx', 'ny', 'nz'].map(names.indexOf, names);
+            var color = null;
+            for (var i = 0; i < COLOR_PROPERTIES.length && !color; i++) {
+                var indeces = COLOR_PROPERTIES[i].map(names.indexOf, names);
+                if (indeces.every(function (index) { return index >= 0; })) color = indeces;
+            }
+            if (position.some(function (index) { return index < 0; })) {
+                throw 'PLY vertices have no coordinates';
+            }
+            var hasNormals = normal.every(function (index) { return index >= 0; });
+
+            var result = {
+                count: element.count,
+                position: new Float32Array(element.count * 3),
+                normal: hasNormals ? new Float32Array(element.count * 3) : null,
+                color: color ? new Float32Array(element.count * 3) : null
+            };
+            var values = new Float64Array(element.properties.length);
+            for (var i = 0; i < element.count; i++) {
+                for (var j = 0; j < element.properties.length; j++) {
+                    values[j] = this._readProperty(reader, element.properties[j]);
+                }
+                for (var k = 0; k < 3; k++) {
+                    result.position[i * 3 + k] = values[position[k]];
+                    if (hasNormals) result.normal[i * 3 + k] = values[normal[k]];
+                    if (color) result.color[i * 3 + k] = values[color[k]] / element.properties[color[k]].type.max;
+                }
+            }
+            return result;
+        },
+
+        _readFaces: function (reader, element, indeces) {
+            for (var i = 0; i < element.count; i++) {
+                for (var j = 0; j < element.properties.length; j++) {
+                    var property = element.properties[j];
+                    if (!property.countType ||
+                            property.name != 'vertex_indices' && property.name != 'vertex_index') {
+                        this._readProperty(reader, property);
+                        continue;
+                    }
+                    var count = reader.read(property.countType);
+                    var first = reader.read(property.type);
+                    var previous = reader.read(property.type);
+                    // Triangle fan.
+                    for (var k = 2; k < count; k++) {
+                        var current = reader.read(property.type);
+                        indeces.push(first, previous, current);
+                        previous = current;
+                    }
+                }
+            }
+        },
+
+        _skipElement: function (reader, element) {
+            for (var i = 0; i < element.count; i++) {
+                for (var j = 0; j < element.properties.length; j++) {
+                    this._readProperty(reader, element.properties[j]);
+                }
+            }
+        },
+
+        /**
+         * @return {Number} Value of a scalar property (lists are skipped).
+         */
+        _readProperty: function (reader, property) {
+            if (!property.countType) return reader.read(property.type);
+
+            var count = reader.read(property.countType);
+            for (var i = 0; i < count; i++) {
+                reader.read(property.type);
+            }
+            return NaN;
+        }
+    };
+
+    function AsciiReader(data, offset) {
+        var bytes = new Uint8Array(data, offset);
+        var text = '';
+        var CHUNK_SIZE = 65536;
+        for (var i = 0; i < bytes.length; i += CHUNK_SIZE) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+        }
+        this._tokens = text.trim().split(/\s+/);
+        this._position = 0;
+    }
+
+    AsciiReader.prototype = {
+        read: function (type) {
+            if (this._position >= this._tokens.length) {
+                throw 'PLY file is truncated';
+            }
+            return Number(this._tokens[this._position++]);
+        }
+    };
+
+    function BinaryReader(data, offset, littleEndian) {
+        this._view = new DataView(data);
+        this._position = offset;
+        this._littleEndian = littleEndian;
+    }
+
+    BinaryReader.prototype = {
+        read: function (type) {
+            if (this._position + type.size > this._view.byteLength) {
+                throw 'PLY file is truncated';
+            }
+            var value = this._view[type.getter](this._position, this._littleEndian);
+            this._position += type.size;
+            return value;
+        }
+    };
+
+    return PLYParser;
+});
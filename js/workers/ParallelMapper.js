@@ -0,0 +1,164 @@
+'use strict';
+
+define([],
+function () {
+    /**
+    * Worker-like object what splits mapping of the mesh between several
+    * Mapper.js workers (one per vertex range) and stitches their results.
+    */
+    function ParallelMapper() {
+        this.onmessage = null;
+        this.onerror = null;
+        this._shards = [];
+        this._pending = 0;
+        this._terminated = false;
+        this._pointCount = 0;
+        this._closestSpotIndeces = null;
+        this._closestSpotDistances = null;
+        this._neighbourCount = 0;
+        this._neighbourIndeces = null;
+        this._neighbourWeights = null;
+    };
+
+    /**
+     * Ranges smaller than this are not worth a separate worker.
+     */
+    ParallelMapper.MIN_SHARD_SIZE = 100000;
+
+    ParallelMapper.prototype = Object.create(null, {
+        terminate: {
+            value: function () {
+                this._terminated = true;
+                this._shards.forEach(function (shard) {
+                    shard.worker.terminate();
+                });
+                this._shards = [];
+            }
+        },
+
+        postMessage: {
+            value: function (args) {
+                var pointCount = (args.vertices.length / 3) | 0;
+                var shardCount = Math.max(1, Math.min(navigator.hardwareConcurrency || 1,
+                        Math.floor(pointCount / ParallelMapper.MIN_SHARD_SIZE)));
+                // Surface distance is only used for the nearest spot (see Mapper).
+                var geodesic = args.geodesic && (!args.interpolation || args.interpolation.mode == 'nearest');
+                if (geodesic) {
+                    shardCount = 1; // Propagation along the surface needs the whole mesh.
+                }
+
+                this._closestSpotIndeces = new Int32Array(pointCount);
+                this._closestSpotDistances = new Float32Array(pointCount);
+                this._pointCount = pointCount;
+                this._pending = shardCount;
+
+                for (var i = 0; i < shardCount; i++) {
+                    var start = Math.floor(i * pointCount / shardCount);
+                    var end = Math.floor((i + 1) * pointCount / shardCount);
+                    this._startShard(start, end, {
+                        // slice() copies the range so that each worker gets only its own part.
+                        vertices: args.vertices.slice(start * 3, end * 3),
+                        spots: args.spots,
+                        scale: args.scale,
+                        interpolation: args.interpolation,
+                        geodesic: geodesic,
+                        // Triangles are only needed to walk along the surface.
+                        index: geodesic ? args.index : null
+                    });
+                }
+            }
+        },
+
+        _startShard: {
+            value: function (start, end, args) {
+                var shard = {
+                    worker: new Worker(require.toUrl('js/workers/Mapper.js')),
+                    start: start,
+                    size: end - start,
+                    progress: 0
+                };
+                this._shards.push(shard);
+
+                shard.worker.onmessage = function (event) {
+                    switch (event.data.status) {
+                        case 'ready':
+                            shard.worker.postMessage(args);
+                            break;
+                        case 'working':
+                            shard.progress = event.data.progress;
+                            this._reportProgress();
+                            break;
+                        case 'completed':
+                            this._onShardCompleted(shard, event.data);
+                            break;
+                        case 'failed':
+                            this._send(event.data);
+                            this.terminate();
+                            break;
+                    }
+                }.bind(this);
+                shard.worker.onerror = function (event) {
+                    if (!this._terminated && this.onerror) {
+                        this.onerror(event);
+                    }
+                    this.terminate();
+                }.bind(this);
+            }
+        },
+
+        _onShardCompleted: {
+            value: function (shard, data) {
+                this._closestSpotIndeces.set(data.closestSpotIndeces, shard.start);
+                this._closestSpotDistances.set(data.closestSpotDistances, shard.start);
+                if (data.neighbourCount) {
+                    if (!this._neighbourCount) {
+                        this._neighbourCount = data.neighbourCount;
+                        this._neighbourIndeces = new Int32Array(this._pointCount * data.neighbourCount);
+                        this._neighbourWeights = new Float32Array(this._pointCount * data.neighbourCount);
+                    }
+                    this._neighbourIndeces.set(data.neighbourIndeces, shard.start * data.neighbourCount);
+                    this._neighbourWeights.set(data.neighbourWeights, shard.start * data.neighbourCount);
+                }
+                shard.worker.terminate();
+                if (--this._pending > 0) return;
+
+                var result = {
+                    status: 'completed',
+                    closestSpotIndeces: this._closestSpotIndeces,
+                    closestSpotDistances: this._closestSpotDistances
+                };
+                if (this._neighbourCount) {
+                    result.neighbourCount = this._neighbourCount;
+                    result.neighbourIndeces = this._neighbourIndeces;
+                    result.neighbourWeights = this._neighbourWeights;
+                }
+                this._send(result);
+            }
+        },
+
+        _reportProgress: {
+            value: function () {
+                var done = 0;
+                var total = 0;
+                this._shards.forEach(function (shard) {
+                    done += shard.progress * shard.size;
+                    total += shard.size;
+                });
+                this._send({
+                    status: 'working',
+                    message: 'Mapping: ' + Math.floor(total ? done / total : 0) + '%'
+                });
+            }
+        },
+
+        _send: {
+            value: function (message) {
+                if (!this._terminated && this.onmessage) {
+                    this.onmessage({ data: message });
+                }
+            }
+        }
+    });
+
+    return ParallelMapper;
+});
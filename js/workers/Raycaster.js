@@ -1,65 +1,108 @@
+/**
+ * Persistent Web Worker for picking on the mesh. The 'geometry' message
+ * builds a bounding volume hierarchy over its triangles, 'raycast'
+ * messages are answered with the closest intersected triangle using it,
+ * 'visibility' messages with visibility of points from the eye.
+ */
+
 'use strict';
 
 importScripts('../lib/require.min.js');
 
 require({
     'paths': {
-        'three': '../lib/three.min'
+        'three': '../lib/three.min',
+        'trianglebvh': 'TriangleBVH'
     }
 }, [
-    'three'
+    'three', 'trianglebvh'
 ],
-function(THREE) {
+function(THREE, TriangleBVH) {
+    var bvh = null;
+
     onmessage = function(e) {
-        var startTime = new Date();
+        if (e.data.action == 'geometry') {
+            var startTime = new Date();
+            bvh = new TriangleBVH(e.data.positions, e.data.index || null);
+            console.log('BVH building time: ' + (new Date().valueOf() - startTime.valueOf()) / 1000);
+        } else if (e.data.action == 'raycast') {
+            postMessage({
+                status: 'completed',
+                id: e.data.id,
+                face: bvh ? raycast(e.data) : null
+            });
+        } else if (e.data.action == 'visibility') {
+            var visible = bvh ? findVisible(e.data) : new Uint8Array(e.data.tolerances.length).fill(1);
+            postMessage({
+                status: 'completed',
+                id: e.data.id,
+                visible: visible
+            }, [visible.buffer]);
+        }
+    };
 
-        var origin = new THREE.Vector3().copy(e.data.origin);
-        var direction = new THREE.Vector3().copy(e.data.direction);
-        var positions = e.data.positions;
-        var matrixWorld = new THREE.Matrix4().copy(e.data.matrixWorld);
+    /**
+     * @return {Object} Vertex indeces of the closest intersected triangle
+     *                  (a, b, c) and distance to it, or null.
+     */
+    function raycast(data) {
+        var origin = new THREE.Vector3().copy(data.origin);
+        var direction = new THREE.Vector3().copy(data.direction);
+        var matrixWorld = new THREE.Matrix4().copy(data.matrixWorld);
+        // [start, end) ranges of hidden parts of the mesh (in the index if any).
+        var hiddenRanges = data.hiddenRanges || [];
 
-        var ray = new THREE.Ray(origin, direction);
         var inverseMatrix = new THREE.Matrix4().getInverse(matrixWorld);
-        var inverseRay = new THREE.Ray().copy(ray).applyMatrix4(inverseMatrix);
-        var inverseOrigin = new THREE.Vector3().copy(origin).applyMatrix4(inverseMatrix);
-
-        var vA = new THREE.Vector3();
-        var vB = new THREE.Vector3();
-        var vC = new THREE.Vector3();
+        var inverseRay = new THREE.Ray(origin, direction).applyMatrix4(inverseMatrix);
+        inverseRay.direction.normalize();
 
-        var result = null;
+        var hit = bvh.intersect(inverseRay, hiddenRanges.length ? function(triangle) {
+            return isHidden(triangle * 3, hiddenRanges);
+        } : null);
+        if (!hit) return null;
 
-        for (var i = 0, j = 0, il = positions.length; i < il; i += 3, j += 9) {
-            var a = i;
-            var b = i + 1;
-            var c = i + 2;
-            vA.fromArray(positions, j);
-            vB.fromArray(positions, j + 3);
-            vC.fromArray(positions, j + 6);
-
-            var intersectionPoint = inverseRay.intersectTriangle(vC, vB, vA, false);
-            if (!intersectionPoint) continue;
+        return {
+            a: bvh.vertex(hit.triangle, 0),
+            b: bvh.vertex(hit.triangle, 1),
+            c: bvh.vertex(hit.triangle, 2),
+            distance: hit.distance
+        };
+    }
 
-            var distance = inverseOrigin.distanceTo(intersectionPoint);
-            if (!result || distance < result.distance) {
-                result = {
-                    a: a,
-                    b: b,
-                    c: c,
-                    distance: distance
-                };
-            }
+    /**
+     * A point is visible if the ray from the eye hits no triangle closer
+     * than its tolerance in front of it (points on the surface are hit
+     * themselves). Coordinates are in the mesh space.
+     *
+     * @return {Uint8Array} 1 for visible points.
+     */
+    function findVisible(data) {
+        var hiddenRanges = data.hiddenRanges || [];
+        var skip = hiddenRanges.length ? function(triangle) {
+            return isHidden(triangle * 3, hiddenRanges);
+        } : null;
+        var eye = new THREE.Vector3().copy(data.eye);
+        var ray = new THREE.Ray(eye, new THREE.Vector3());
+        var point = new THREE.Vector3();
+        var result = new Uint8Array(data.tolerances.length);
+        for (var i = 0; i < result.length; i++) {
+            point.fromArray(data.points, i * 3);
+            ray.direction.subVectors(point, eye);
+            var distance = ray.direction.length();
+            ray.direction.normalize();
+            var hit = bvh.intersect(ray, skip);
+            result[i] = !hit || hit.distance >= distance - data.tolerances[i] ? 1 : 0;
         }
+        return result;
+    }
 
-        if (result) {
-            result.status = 'completed';
+    function isHidden(corner, hiddenRanges) {
+        for (var i = 0; i < hiddenRanges.length; i++) {
+            if (corner >= hiddenRanges[i][0] && corner < hiddenRanges[i][1]) return true;
         }
-        postMessage(result);
+        return false;
+    }
 
-        var endTime = new Date();
-        console.log('Raycast time: ' +
-            (endTime.valueOf() - startTime.valueOf()) / 1000);
-    };
     postMessage({
         status: 'ready'
     });
@@ -0,0 +1,153 @@
+'use strict';
+
+define(['three', 'stlloader'],
+function (THREE, STLLoader) {
+    /**
+     * Parser of STL files. Binary and ASCII formats are distinguished by
+     * the size declared in the binary header and by the content (binary
+     * files may start with 'solid' too).
+     */
+    function STLParser() {
+    }
+
+    var BINARY_HEADER_SIZE = 84;
+    var BINARY_FACET_SIZE = 50;
+
+    STLParser.prototype = {
+        /**
+         * @param {ArrayBuffer} data Contents of the file.
+         * @return {THREE.BufferGeometry} Non-indexed geometry.
+         */
+        parse: function (data) {
+            if (this._isBinary(data)) {
+                return new STLLoader().parseBinary(data);
+            }
+            return this._parseASCII(new TextDecoder().decode(new Uint8Array(data)));
+        },
+
+        _isBinary: function (data) {
+            var size = data.byteLength;
+            var expectedSize = size >= BINARY_HEADER_SIZE ?
+                BINARY_HEADER_SIZE + BINARY_FACET_SIZE * new DataView(data).getUint32(80, true) : NaN;
+            if (size == expectedSize) return true;
+
+            if (this._looksLikeText(new Uint8Array(data, 0, Math.min(size, 1024)))) {
+                return false;
+            }
+            if (size < BINARY_HEADER_SIZE) {
+                throw 'STL file is too small (' + size + ' bytes)';
+            }
+            if (size < expectedSize) {
+                throw 'Binary STL file is truncated: ' + expectedSize + ' bytes expected, ' +
+                    size + ' bytes found';
+            }
+            console.info('Binary STL file has ' + (size - expectedSize) + ' extra bytes');
+            return true;
+        },
+
+        _looksLikeText: function (bytes) {
+            var head = '';
+            for (var i = 0; i < bytes.length; i++) {
+                // Control characters except tabs and line breaks.
+                if (bytes[i] < 9 || bytes[i] > 13 && bytes[i] < 32) return false;
+                head += String.fromCharCode(bytes[i]);
+            }
+            return /^\s*solid\b/.test(head);
+        },
+
+        _parseASCII: function (text) {
+            var lines = text.split('\n');
+            var positions = [];
+            var normals = [];
+            var inSolid = false;
+            var inFacet = false;
+            var facetVertexCount = 0;
+            var normal = null;
+
+            var fail = function (lineIndex, message) {
+                throw 'Malformed ASCII STL file at line ' + (lineIndex + 1) + ': ' + message;
+            };
+            var readVector = function (words, start, lineIndex) {
+                var result = [];
+                for (var i = start; i < start + 3; i++) {
+                    var value = Number(words[i]);
+                    if (words[i] === undefined || isNaN(value)) fail(lineIndex, 'invalid number');
+                    result.push(value);
+                }
+                return result;
+            };
+
+            for (var i = 0; i < lines.length; i++) {
+                var words = lines[i].trim().split(/\s+/);
+                switch (words[0]) {
+                    case '':
+                        break;
+                    case 'solid':
+                        if (inSolid) fail(i, 'unexpected "solid"');
+                        inSolid = true;
+                        break;
+                    case 'facet':
+                        if (!inSolid || inFacet) fail(i, 'unexpected "facet"');
+                        normal = words[1] == 'normal' ? readVector(words, 2, i) : [0, 0, 0];
+                        inFacet = true;
+                        facetVertexCount = 0;
+                        break;
+                    case 'outer':
+                    case 'endloop':
+                        if (!inFacet) fail(i, 'unexpected "' + words[0] + '"');
+                        break;
+                    case 'vertex':
+                        if (!inFacet || facetVertexCount == 3) fail(i, 'unexpected "vertex"');
+                        Array.prototype.push.apply(positions, readVector(words, 1, i));
+                        facetVertexCount++;
+                        break;
+                    case 'endfacet':
+                        if (!inFacet || facetVertexCount != 3) fail(i, 'facet must have 3 vertices');
+                        this._addNormal(normals, positions, normal);
+                        inFacet = false;
+                        break;
+                    case 'endsolid':
+                        if (!inSolid || inFacet) fail(i, 'unexpected "endsolid"');
+                        inSolid = false;
+                        break;
+                    default:
+                        fail(i, 'unexpected "' + words[0] + '"');
+                }
+            }
+            if (inFacet) {
+                throw 'ASCII STL file is truncated (last facet is incomplete)';
+            }
+            if (inSolid) {
+                console.info('ASCII STL file has no "endsolid"');
+            }
+            if (!positions.length) {
+                throw 'STL file contains no facets';
+            }
+
+            var geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+            geometry.addAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals), 3));
+            return geometry;
+        },
+
+        /**
+         * Adds the normal for 3 vertices of the last facet. Computes it if
+         * the file has zero normal.
+         */
+        _addNormal: function (normals, positions, normal) {
+            var n = new THREE.Vector3().fromArray(normal);
+            if (n.lengthSq() == 0) {
+                var offset = positions.length - 9;
+                var a = new THREE.Vector3().fromArray(positions, offset);
+                var b = new THREE.Vector3().fromArray(positions, offset + 3);
+                var c = new THREE.Vector3().fromArray(positions, offset + 6);
+                n.subVectors(c, b).cross(a.sub(b)).normalize();
+            }
+            for (var i = 0; i < 3; i++) {
+                normals.push(n.x, n.y, n.z);
+            }
+        }
+    };
+
+    return STLParser;
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+define(['three'],
+function (THREE) {
+    /**
+     * Bounding volume hierarchy over triangles of a mesh. Nodes split their
+     * triangles in the middle of the longest axis of triangle centers, so
+     * a ray query only tests triangles of the leaves it passes through.
+     *
+     * @param {Float32Array} positions Vertex coordinates.
+     * @param {Uint32Array|Uint16Array} triangles Index of indexed geometry or
+     *        null if each 3 consecutive vertices are a triangle.
+     */
+    function TriangleBVH(positions, triangles) {
+        this._positions = positions;
+        this._triangles = triangles;
+        this._triangleCount = Math.floor((triangles ? triangles.length : positions.length / 3) / 3);
+        this._order = new Uint32Array(this._triangleCount);
+        for (var i = 0; i < this._triangleCount; i++) {
+            this._order[i] = i;
+        }
+
+        var maxNodeCount = Math.max(1, this._triangleCount * 2);
+        this._bounds = new Float32Array(maxNodeCount * 6);
+        this._child = new Int32Array(maxNodeCount); // Left child (right is next), -1 for leaves.
+        this._start = new Int32Array(maxNodeCount);
+        this._count = new Int32Array(maxNodeCount);
+        this._nodeCount = 0;
+
+        this._vA = new THREE.Vector3();
+        this._vB = new THREE.Vector3();
+        this._vC = new THREE.Vector3();
+        this._point = new THREE.Vector3();
+
+        this._build();
+    }
+
+    TriangleBVH.LEAF_SIZE = 8;
+
+    TriangleBVH.prototype = {
+        /**
+         * Vertex index of the corner of the triangle.
+         */
+        vertex: function (triangle, corner) {
+            return this._triangles ? this._triangles[triangle * 3 + corner] : triangle * 3 + corner;
+        },
+
+        /**
+         * Finds the closest intersection of the ray with triangles.
+         *
+         * @param {THREE.Ray} ray Ray with normalized direction.
+         * @param {Function} skip Optional predicate of triangles to ignore.
+         * @return {Object} {triangle, distance} or null.
+         */
+        intersect: function (ray, skip) {
+            var result = null;
+            var closest = Infinity;
+            var invDir = [1 / ray.direction.x, 1 / ray.direction.y, 1 / ray.direction.z];
+            var origin = [ray.origin.x, ray.origin.y, ray.origin.z];
+            var stack = [0];
+            while (stack.length) {
+                var node = stack.pop();
+                if (this._nodeDistance(node, origin, invDir) > closest) continue;
+
+                if (this._child[node] >= 0) {
+                    stack.push(this._child[node], this._child[node] + 1);
+                    continue;
+                }
+                for (var i = this._start[node], end = i + this._count[node]; i < end; i++) {
+                    var triangle = this._order[i];
+                    if (skip && skip(triangle)) continue;
+                    this._vA.fromArray(this._positions, this.vertex(triangle, 0) * 3);
+                    this._vB.fromArray(this._positions, this.vertex(triangle, 1) * 3);
+                    this._vC.fromArray(this._positions, this.vertex(triangle, 2) * 3);
+                    if (!ray.intersectTriangle(this._vC, this._vB, this._vA, false, this._point)) continue;
+                    var distance = ray.origin.distanceTo(this._point);
+                    if (distance < closest) {
+                        closest = distance;
+                        result = { triangle: triangle, distance: distance };
+                    }
+                }
+            }
+            return result;
+        },
+
+        /**
+         * @return {Number} Distance along the ray to the node's box
+         *                  (Infinity if the ray misses it).
+         */
+        _nodeDistance: function (node, origin, invDir) {
+            var tmin = 0;
+            var tmax = Infinity;
+            for (var axis = 0; axis < 3; axis++) {
+                var t1 = (this._bounds[node * 6 + axis] - origin[axis]) * invDir[axis];
+                var t2 = (this._bounds[node * 6 + 3 + axis] - origin[axis]) * invDir[axis];
+                if (t1 > t2) {
+                    var t = t1;
+                    t1 = t2;
+                    t2 = t;
+                }
+                // NaN (0 * Infinity) doesn't narrow the range.
+                if (t1 > tmin) tmin = t1;
+                if (t2 < tmax) tmax = t2;
+                if (tmin > tmax) return Infinity;
+            }
+            return tmin;
+        },
+
+        _build: function () {
+            var centers = new Float32Array(this._triangleCount * 3);
+            for (var t = 0; t < this._triangleCount; t++) {
+                for (var corner = 0; corner < 3; corner++) {
+                    var v = this.vertex(t, corner) * 3;
+                    for (var axis = 0; axis < 3; axis++) {
+                        centers[t * 3 + axis] += this._positions[v + axis] / 3;
+                    }
+                }
+            }
+
+            var stack = [this._addNode(0, this._triangleCount)];
+            while (stack.length) {
+                var node = stack.pop();
+                var start = this._start[node];
+                var count = this._count[node];
+                this._computeBounds(node);
+                if (count <= TriangleBVH.LEAF_SIZE) continue;
+
+                var min = [Infinity, Infinity, Infinity];
+                var max = [-Infinity, -Infinity, -Infinity];
+                for (var i = start; i < start + count; i++) {
+                    for (var axis = 0; axis < 3; axis++) {
+                        var c = centers[this._order[i] * 3 + axis];
+                        if (c < min[axis]) min[axis] = c;
+                        if (c > max[axis]) max[axis] = c;
+                    }
+                }
+                var splitAxis = 0;
+                for (var axis = 1; axis < 3; axis++) {
+                    if (max[axis] - min[axis] > max[splitAxis] - min[splitAxis]) splitAxis = axis;
+                }
+                var split = (min[splitAxis] + max[splitAxis]) / 2;
+
+                // Partition: triangles with centers below the split go first.
+                var middle = start;
+                for (var i = start; i < start + count; i++) {
+                    if (centers[this._order[i] * 3 + splitAxis] < split) {
+                        var swap = this._order[i];
+                        this._order[i] = this._order[middle];
+                        this._order[middle++] = swap;
+                    }
+                }
+                if (middle == start || middle == start + count) {
+                    middle = start + (count >> 1); // All centers coincide.
+                }
+
+                var left = this._addNode(start, middle - start);
+                this._addNode(middle, start + count - middle);
+                this._child[node] = left;
+                stack.push(left, left + 1);
+            }
+        },
+
+        _addNode: function (start, count) {
+            var node = this._nodeCount++;
+            this._start[node] = start;
+            this._count[node] = count;
+            this._child[node] = -1;
+            return node;
+        },
+
+        _computeBounds: function (node) {
+            var bounds = this._bounds;
+            var offset = node * 6;
+            bounds.fill(Infinity, offset, offset + 3);
+            bounds.fill(-Infinity, offset + 3, offset + 6);
+            for (var i = this._start[node], end = i + this._count[node]; i < end; i++) {
+                for (var corner = 0; corner < 3; corner++) {
+                    var v = this.vertex(this._order[i], corner) * 3;
+                    for (var axis = 0; axis < 3; axis++) {
+                        var value = this._positions[v + axis];
+                        if (value < bounds[offset + axis]) bounds[offset + axis] = value;
+                        if (value > bounds[offset + 3 + axis]) bounds[offset + 3 + axis] = value;
+                    }
+                }
+            }
+        }
+    };
+
+    return TriangleBVH;
+});
@@ -26,12 +26,21 @@ define([], function() {
                         '</linearGradient>' +
                     '</defs>' +
                     '<rect x="0" y="0" width="100%" height="100%" fill="gray" fill-opacity="0.5" />' +
-                    '<text id="current-map-label" x="100" y="20" fill="black" text-anchor="middle" cursor="pointer" font-size="14" />' +
-                    '<rect x="10" y="30" width="180" height="20" style="fill:url(#colorMapGradient)" />' +
-                    '<text id="minLabel" x="10" y="70" fill="black" text-anchor="start" font-size="14" />' +
-                    '<text id="scaleLabel" x="100" y="70" fill="black" text-anchor="middle" font-size="14" />' +
-                    '<text id="maxLabel" x="190" y="70" fill="black" text-anchor="end" font-size="14" />' +
+                    '<g id="colormap-legend">' +
+                        '<text id="current-map-label" x="100" y="20" fill="black" text-anchor="middle" cursor="pointer" font-size="14" />' +
+                        '<rect x="10" y="30" width="180" height="20" style="fill:url(#colorMapGradient)" />' +
+                        '<text id="minLabel" x="10" y="70" fill="black" text-anchor="start" font-size="14" />' +
+                        '<text id="scaleLabel" x="100" y="70" fill="black" text-anchor="middle" font-size="14" />' +
+                        '<text id="maxLabel" x="190" y="70" fill="black" text-anchor="end" font-size="14" />' +
+                    '</g>' +
+                    '<g id="composite-legend" display="none">' +
+                        '<image id="compositeTriangle" x="10" y="10" width="60" height="60" />' +
+                        '<text id="channelLabel0" x="80" y="25" fill="black" font-size="12" />' +
+                        '<text id="channelLabel1" x="80" y="45" fill="black" font-size="12" />' +
+                        '<text id="channelLabel2" x="80" y="65" fill="black" font-size="12" />' +
+                    '</g>' +
                 '</svg>' +
+                '<div class="ViewGrid2D"></div>' +
             '</div>' +
             '<div id="status">' +
                 '<div class="load-indicator"></div>' +
@@ -42,6 +51,7 @@ define([], function() {
             '<div id="errors" hidden>' +
                 'Errors:' +
                 '<ul></ul>' +
+                '<button id="load-valid-rows" hidden>Load valid rows</button>' +
                 '<button id="close">Close</button>' +
             '</div>' +
         '</div>' +
@@ -0,0 +1,76 @@
+'use strict';
+
+define(['measureexpression'],
+function(MeasureExpression) {
+    module('MeasureExpression');
+
+    var MEASURES = {
+        A: {values: new Float32Array([1, 2, 4])},
+        B: {values: new Float32Array([2, 2, 0])},
+        'm/z 885.55': {values: new Float32Array([3, 3, 3])}
+    };
+
+    function findMeasure(name) {
+        return MEASURES[name] || null;
+    }
+
+    function evaluate(formula) {
+        return Array.prototype.slice.call(new MeasureExpression(formula).evaluate(findMeasure, 3));
+    }
+
+    function errorOf(formula) {
+        try {
+            evaluate(formula);
+        } catch (e) {
+            return e;
+        }
+        return null;
+    }
+
+    test('Operator precedence', function() {
+        deepEqual(evaluate('1 + 2 * 3'), [7, 7, 7]);
+        deepEqual(evaluate('(1 + 2) * 3'), [9, 9, 9]);
+        deepEqual(evaluate('8 / 4 / 2'), [1, 1, 1], 'left associative division');
+        deepEqual(evaluate('10 - 4 - 3'), [3, 3, 3], 'left associative subtraction');
+        deepEqual(evaluate('2 * 3 ^ 2'), [18, 18, 18], 'power binds tighter');
+        deepEqual(evaluate('2 ^ 3 ^ 2'), [512, 512, 512], 'right associative power');
+        deepEqual(evaluate('A + B * 2'), [5, 6, 4]);
+    });
+
+    test('Unary minus', function() {
+        deepEqual(evaluate('-A'), [-1, -2, -4]);
+        deepEqual(evaluate('-A ^ 2'), [-1, -4, -16], 'negates the power');
+        deepEqual(evaluate('2 ^ -1'), [0.5, 0.5, 0.5], 'in the exponent');
+        deepEqual(evaluate('A - -B'), [3, 4, 4]);
+        deepEqual(evaluate('-(A + B)'), [-3, -4, -4]);
+    });
+
+    test('Functions', function() {
+        deepEqual(evaluate('log2(B)'), [1, 1, -Infinity]);
+        deepEqual(evaluate('sqrt(B * 8)'), [4, 4, 0]);
+        deepEqual(evaluate('abs(-A)'), [1, 2, 4]);
+        deepEqual(evaluate('zscore(B)').map(function(x) {
+            return Math.round(x * 1000) / 1000;
+        }), [0.707, 0.707, -1.414]);
+    });
+
+    test('Map names', function() {
+        deepEqual(new MeasureExpression('A + B * A').names, ['A', 'B'], 'unique names in order');
+        deepEqual(new MeasureExpression('log(2)').names, [], 'function names are not maps');
+        deepEqual(evaluate('"m/z 885.55" - A'), [2, 1, -1], 'double quoted name');
+        deepEqual(evaluate("'m/z 885.55' / 3"), [1, 1, 1], 'single quoted name');
+        deepEqual(new MeasureExpression('"m/z 885.55"').names, ['m/z 885.55']);
+        equal(new MeasureExpression('  A+B ').formula, 'A+B', 'formula is trimmed');
+    });
+
+    test('Error messages', function() {
+        equal(errorOf(''), 'Empty formula');
+        equal(errorOf('A +'), 'Unexpected end of formula');
+        equal(errorOf('A B'), 'Unexpected "B" in formula');
+        equal(errorOf('(A + B'), 'Missing ")" in formula');
+        equal(errorOf('A $ B'), 'Unexpected "$" in formula');
+        equal(errorOf('foo(A)'), 'Unknown function: foo');
+        equal(errorOf('C * 2'), 'Unknown map: "C"');
+        equal(errorOf(')'), 'Unexpected ")" in formula');
+    });
+});
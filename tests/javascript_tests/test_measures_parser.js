@@ -0,0 +1,191 @@
+'use strict';
+
+define(['measuresparser'],
+function(MeasuresParser) {
+    module('MeasuresParser');
+
+    /**
+     * Feeds rows to the parser like Papa Parse does in step mode and
+     * returns the 'completed' message.
+     */
+    function parse(rows, options) {
+        options = options || {};
+        var messages = [];
+        var parser = new MeasuresParser(options.imageSize || null, function(message) {
+            messages.push(message);
+        });
+        var papa = {
+            abort: function() {}
+        };
+        rows.forEach(function(row) {
+            parser.step({data: [row], meta: {delimiter: options.delimiter || ','}}, papa);
+        });
+        parser.complete();
+        return messages.filter(function(message) {
+            return message.status == 'completed';
+        })[0];
+    }
+
+    function names(result) {
+        return result.spots.map(function(spot) {
+            return spot.name;
+        });
+    }
+
+    function values(measure) {
+        return Array.prototype.slice.call(measure.values);
+    }
+
+    test('Reads spots and measures', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'Radius', 'A', 'B'],
+            ['s1', '1', '2', '3', '10', ''],
+            ['s2', '4', '5', '1', '20', '0.5'],
+        ]);
+        deepEqual(names(result), ['s1', 's2']);
+        deepEqual([result.spots[0].x, result.spots[0].y, result.spots[0].z, result.spots[0].r], [1, 2, 0, 3]);
+        deepEqual(result.measures.map(function(m) { return m.name; }), ['A', 'B']);
+        deepEqual(values(result.measures[0]), [10, 20]);
+        ok(isNaN(result.measures[1].values[0]), 'empty value');
+        deepEqual(result.issues, []);
+        equal(result.issueCount, 0);
+    });
+
+    test('Default radius', function() {
+        var result = parse([
+            ['Name', 'X', 'Y'],
+            ['s1', '1', '2'],
+        ]);
+        equal(result.spots[0].r, 1, 'no radius column');
+    });
+
+    test('Legacy layout', function() {
+        var result = parse([
+            ['spot', 'col1', 'col2', 'col3', 'col4', 'A'],
+            ['s1', '1', '2', '3', '4', '5'],
+        ]);
+        var spot = result.spots[0];
+        deepEqual([spot.name, spot.x, spot.y, spot.z, spot.r], ['s1', 1, 2, 3, 4]);
+        deepEqual(result.measures.map(function(m) { return m.name; }), ['A']);
+    });
+
+    test('Reports issues and keeps loading', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'Radius', 'A'],
+            ['s1', '1', '2', '1', '10'],
+            ['s2', '', '2', '1', '10'],
+            ['s3', '1', '2', 'big', '10'],
+            ['s4', '1'],
+            ['s5', '1', '2', '1', 'n/a'],
+            ['s6', '1', '2', '', '10'],
+            ['s7', '1', '2', '1', '20'],
+        ]);
+        deepEqual(names(result), ['s1', 's7']);
+        deepEqual(values(result.measures[0]), [10, 20]);
+        deepEqual(result.issues, [
+            {row: 2, column: 'X', reason: 'Missing coordinate'},
+            {row: 3, column: 'Radius', reason: 'Not a number'},
+            {row: 4, column: null, reason: 'Too few elements'},
+            {row: 5, column: 'A', reason: 'Non-numeric value "n/a"'},
+            {row: 6, column: 'Radius', reason: 'Missing radius'},
+        ]);
+        equal(result.issueCount, 5);
+    });
+
+    test('Spots outside of the image', function() {
+        var rows = [
+            ['Name', 'X', 'Y'],
+            ['s1', '10', '10'],
+            ['s2', '-1', '10'],
+            ['s3', '10', '101'],
+        ];
+        var result = parse(rows, {imageSize: {width: 100, height: 100}});
+        deepEqual(names(result), ['s1']);
+        deepEqual(result.issues, [
+            {row: 2, column: 'X', reason: 'Outside of the image'},
+            {row: 3, column: 'Y', reason: 'Outside of the image'},
+        ]);
+        equal(parse(rows).spots.length, 3, 'not checked without the image size');
+    });
+
+    test('Duplicate names', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'A'],
+            ['s1', '1', '2', '10'],
+            ['s1', '3', '4', '20'],
+        ]);
+        deepEqual(names(result), ['s1']);
+        equal(result.spots[0].x, 1, 'the first one is kept');
+        deepEqual(values(result.measures[0]), [10]);
+        deepEqual(result.issues, [
+            {row: 2, column: 'Name', reason: 'Duplicate spot name "s1" (first in row 1)'},
+        ]);
+    });
+
+    test('Decimal comma', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'A'],
+            ['s1', '1,5', '2', '1.234,5'],
+            ['s2', '3', '4', '1 234'],
+        ], {delimiter: ';'});
+        equal(result.spots[0].x, 1.5);
+        deepEqual(values(result.measures[0]), [1234.5, 1234]);
+    });
+
+    test('Decimal point with thousands separators', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'A'],
+            ['s1', '1', '2', '1,234.5'],
+            ['s2', '3', '4', '0.5'],
+        ], {delimiter: '\t'});
+        deepEqual(values(result.measures[0]), [1234.5, 0.5]);
+        deepEqual(result.issues, []);
+    });
+
+    test('Decimal separator is detected by later rows', function() {
+        var rows = [
+            ['Name', 'X', 'Y', 'A'],
+            ['s1', '1', '2', '1,250'],
+            ['s2', '3', '4', '7'],
+            ['s3', '5', '6', '2,5'],
+        ];
+        var result = parse(rows, {delimiter: ';'});
+        deepEqual(names(result), ['s1', 's2', 's3'], 'order of rows is kept');
+        deepEqual(values(result.measures[0]), [1.25, 7, 2.5]);
+
+        rows[3][3] = '2.5';
+        result = parse(rows, {delimiter: '\t'});
+        deepEqual(values(result.measures[0]), [1250, 7, 2.5]);
+
+        rows.pop();
+        result = parse(rows, {delimiter: ';'});
+        deepEqual(values(result.measures[0]), [1250, 7], 'decimal point by default');
+    });
+
+    test('Numbers with the other separator are reported', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'A'],
+            ['s1', '1.5', '2', '10'],
+            ['s2', '1,5', '2', '20'],
+        ]);
+        deepEqual(names(result), ['s1']);
+        deepEqual(result.issues, [
+            {row: 2, column: 'X', reason: 'Not a number'},
+        ]);
+    });
+
+    test('Metadata columns', function() {
+        var result = parse([
+            ['Name', 'X', 'Y', 'Group', 'A'],
+            ['s1', '1', '2', 'liver', '10'],
+            ['s2', '3', '4', '', '20'],
+            ['s3', '5', '6', 'kidney', '30'],
+            ['s4', '7', '8', '7', '40'],
+        ]);
+        deepEqual(result.measures.map(function(m) { return m.name; }), ['A']);
+        deepEqual(result.spots.map(function(spot) {
+            return spot.metadata.Group;
+        }), ['liver', '', 'kidney', '7']);
+        deepEqual(result.issues, []);
+    });
+});
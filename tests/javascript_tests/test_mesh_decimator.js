@@ -0,0 +1,88 @@
+'use strict';
+
+define(['three', 'meshdecimator'],
+function(THREE, MeshDecimator) {
+    module('MeshDecimator');
+
+    /**
+     * Non-indexed square [0, 1] x [0, 1] of |n| x |n| quads with uv.
+     */
+    function makeGrid(n) {
+        var positions = [];
+        var uvs = [];
+        function vertex(i, j) {
+            positions.push(i / n, j / n, 0);
+            uvs.push(i / n, j / n);
+        }
+        for (var i = 0; i < n; i++) {
+            for (var j = 0; j < n; j++) {
+                vertex(i, j); vertex(i + 1, j); vertex(i + 1, j + 1);
+                vertex(i, j); vertex(i + 1, j + 1); vertex(i, j + 1);
+            }
+        }
+        var geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+        geometry.addAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+        return geometry;
+    }
+
+    test('Reduces triangles within the target', function() {
+        var decimator = new MeshDecimator(makeGrid(16));
+        equal(decimator.triangleCount, 512);
+        var result = decimator.decimate(100);
+        var triangleCount = result.geometry.getAttribute('position').count / 3;
+        ok(triangleCount <= 100, 'at most the target: ' + triangleCount);
+        ok(triangleCount > 20, 'not much less than the target: ' + triangleCount);
+        equal(result.parts.length, 1);
+        equal(result.parts[0].start, 0);
+        equal(result.parts[0].count, triangleCount * 3);
+    });
+
+    test('Keeps the shape and attributes', function() {
+        var geometry = makeGrid(8);
+        var sourceUV = geometry.getAttribute('uv');
+        var result = new MeshDecimator(geometry).decimate(30);
+        var position = result.geometry.getAttribute('position');
+        var normal = result.geometry.getAttribute('normal');
+        var uv = result.geometry.getAttribute('uv');
+        ok(normal, 'has normals');
+        ok(uv, 'has uv');
+        equal(result.sourceIndeces.length, position.count, 'source vertex for each vertex');
+
+        var flat = true;
+        var bounded = true;
+        var copied = true;
+        for (var i = 0; i < position.count; i++) {
+            flat = flat && position.getZ(i) == 0 && Math.abs(Math.abs(normal.getZ(i)) - 1) < 1e-6;
+            bounded = bounded && position.getX(i) >= 0 && position.getX(i) <= 1 &&
+                    position.getY(i) >= 0 && position.getY(i) <= 1;
+            var source = result.sourceIndeces[i];
+            copied = copied && uv.getX(i) == sourceUV.getX(source) && uv.getY(i) == sourceUV.getY(source);
+        }
+        ok(flat, 'the plane stays flat');
+        ok(bounded, 'vertices stay within the plane');
+        ok(copied, 'attributes are copied from source vertices');
+    });
+
+    test('Parts are decimated separately', function() {
+        var geometry = makeGrid(8);
+        var vertexCount = geometry.getAttribute('position').count;
+        var parts = [
+            {name: 'left', start: 0, count: vertexCount / 2},
+            {name: 'right', start: vertexCount / 2, count: vertexCount / 2}
+        ];
+        var result = new MeshDecimator(geometry, parts).decimate(40);
+        equal(result.parts.length, 2);
+        equal(result.parts[0].name, 'left', 'other fields are kept');
+        equal(result.parts[0].start, 0);
+        equal(result.parts[1].start, result.parts[0].count, 'ranges follow each other');
+        var total = result.parts[0].count + result.parts[1].count;
+        equal(total, result.geometry.getAttribute('position').count);
+
+        var separate = true;
+        for (var i = 0; i < result.parts[1].count; i++) {
+            separate = separate && result.sourceIndeces[result.parts[1].start + i] >= vertexCount / 2;
+        }
+        ok(separate, 'vertices of a part come from the same part');
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+define(['three', 'meshwelder'],
+function(THREE, MeshWelder) {
+    module('MeshWelder');
+
+    function makeGeometry(positions, uvs) {
+        var geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+        if (uvs) geometry.addAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+        return geometry;
+    }
+
+    // Two triangles of the unit square sharing the diagonal.
+    var SQUARE = [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0];
+
+    function toArray(array) {
+        return Array.prototype.slice.call(array);
+    }
+
+    test('Merges shared vertices', function() {
+        var result = new MeshWelder(makeGeometry(SQUARE)).weld(1e-6);
+        equal(result.geometry.getAttribute('position').count, 4);
+        deepEqual(toArray(result.vertexMap), [0, 1, 2, 1, 3, 2]);
+        deepEqual(toArray(result.geometry.index.array), [0, 1, 2, 1, 3, 2], 'index is the vertex map');
+        deepEqual(toArray(result.geometry.getAttribute('normal').array),
+                [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    });
+
+    test('Merges vertices within the tolerance', function() {
+        var positions = SQUARE.slice();
+        positions[9] = 1 + 1e-9;
+        equal(new MeshWelder(makeGeometry(positions)).weld(1e-6).geometry.getAttribute('position').count, 4);
+        positions[9] = 1.1;
+        equal(new MeshWelder(makeGeometry(positions)).weld(1e-6).geometry.getAttribute('position').count, 5);
+    });
+
+    test('Keeps hard edges', function() {
+        // The second triangle is folded down by 90 degrees along x = 1.
+        var geometry = makeGeometry([0, 0, 0, 1, 0, 0, 1, 1, 0, 1, 0, 0, 1, 0, -1, 1, 1, 0]);
+        var result = new MeshWelder(geometry).weld(1e-6);
+        equal(result.geometry.getAttribute('position').count, 6, 'vertices of the edge are not merged');
+        var normal = result.geometry.getAttribute('normal');
+        deepEqual([normal.getX(0), normal.getY(0), normal.getZ(0)], [0, 0, 1], 'normals are kept');
+        deepEqual([normal.getX(3), normal.getY(3), normal.getZ(3)], [1, 0, 0]);
+    });
+
+    test('Smooths slightly bent surfaces', function() {
+        // The second triangle is bent by ~6 degrees.
+        var geometry = makeGeometry([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 1, 0.1, 0, 1, 0]);
+        var result = new MeshWelder(geometry).weld(1e-6);
+        equal(result.geometry.getAttribute('position').count, 4);
+        var normal = result.geometry.getAttribute('normal');
+        ok(normal.getZ(1) > 0.99 && normal.getZ(1) < 1, 'normal of the shared vertex is averaged');
+    });
+
+    test('Keeps vertices with different attributes', function() {
+        var uvs = [0, 0, 1, 0, 0, 1, 0.5, 0, 1, 1, 0, 1];
+        var result = new MeshWelder(makeGeometry(SQUARE, uvs)).weld(1e-6);
+        equal(result.geometry.getAttribute('position').count, 5, 'uv seam');
+        deepEqual(toArray(result.geometry.getAttribute('uv').array), [0, 0, 1, 0, 0, 1, 0.5, 0, 1, 1]);
+    });
+
+    test('Keeps parts separate', function() {
+        var parts = [{start: 0, count: 3}, {start: 3, count: 3}];
+        var result = new MeshWelder(makeGeometry(SQUARE), parts).weld(1e-6);
+        equal(result.geometry.getAttribute('position').count, 6);
+        deepEqual(toArray(result.vertexMap), [0, 1, 2, 3, 4, 5]);
+    });
+});
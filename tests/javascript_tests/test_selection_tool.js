@@ -0,0 +1,76 @@
+'use strict';
+
+define(['selectiontool'],
+function(SelectionTool) {
+    module('SelectionTool');
+
+    /**
+     * Draws the shape through |points| and returns the completed tool.
+     */
+    function draw(shape, points) {
+        // Container at the origin of the page.
+        var container = {
+            getBoundingClientRect: function() {
+                return {left: 0, top: 0};
+            },
+            appendChild: function() {},
+            removeChild: function() {}
+        };
+        var completed = null;
+        var tool = new SelectionTool(container, shape, function(tool) {
+            completed = tool;
+        });
+        var events = points.map(function(point) {
+            return {
+                pageX: point[0],
+                pageY: point[1],
+                stopPropagation: function() {},
+                preventDefault: function() {}
+            };
+        });
+        tool.start(events[0]);
+        events.slice(1).forEach(function(event) {
+            tool._onMouseMove(event);
+        });
+        tool._onMouseUp(events[events.length - 1]);
+        return completed;
+    }
+
+    test('Rectangle', function() {
+        var tool = draw(SelectionTool.Shape.RECTANGLE, [[10, 20], [50, 40], [30, 60]]);
+        ok(tool, 'completed on mouse up');
+        deepEqual(tool.points, [{x: 10, y: 20}, {x: 30, y: 20}, {x: 30, y: 60}, {x: 10, y: 60}],
+                'only the last point defines the rectangle');
+        ok(tool.contains(20, 40), 'inside');
+        ok(tool.contains(29.9, 59.9), 'inside near the corner');
+        ok(!tool.contains(40, 40), 'right of the rectangle');
+        ok(!tool.contains(20, 10), 'above the rectangle');
+        ok(!tool.contains(5, 40), 'left of the rectangle');
+    });
+
+    test('Rectangle drawn backwards', function() {
+        var tool = draw(SelectionTool.Shape.RECTANGLE, [[50, 50], [10, 10]]);
+        ok(tool.contains(30, 30));
+        ok(!tool.contains(60, 30));
+    });
+
+    test('Lasso', function() {
+        // "U"-shaped polygon: the gap between the arms is outside.
+        var tool = draw(SelectionTool.Shape.LASSO, [
+            [0, 0], [10, 0], [10, 20], [20, 20], [20, 0], [30, 0], [30, 30], [0, 30]
+        ]);
+        equal(tool.points.length, 8, 'all points are kept');
+        ok(tool.contains(5, 10), 'left arm');
+        ok(tool.contains(25, 10), 'right arm');
+        ok(tool.contains(15, 25), 'bottom');
+        ok(!tool.contains(15, 10), 'between the arms');
+        ok(!tool.contains(35, 10), 'outside');
+    });
+
+    test('Shape without area contains nothing', function() {
+        var tool = draw(SelectionTool.Shape.LASSO, [[10, 10]]);
+        ok(!tool.contains(10, 10));
+        tool = draw(SelectionTool.Shape.LASSO, [[0, 0], [10, 10]]);
+        ok(!tool.contains(5, 5));
+    });
+});
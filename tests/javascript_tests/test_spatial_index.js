@@ -0,0 +1,97 @@
+'use strict';
+
+define(['spatialindex'],
+function(SpatialIndex) {
+    module('SpatialIndex');
+
+    function makeSpots() {
+        return [
+            {x: 0, y: 0, z: 0, r: 1, scale: 1},
+            {x: 1.5, y: 0, z: 0, r: 1, scale: 1},
+            {x: 10, y: 10, z: 10, r: 0.5, scale: 1},
+            {x: 5, y: 5, z: 5, r: 0, scale: 1} // Never matches.
+        ];
+    }
+
+    test('findClosest picks the closest center among containing spots', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var result = {};
+        equal(index.findClosest(0.9, 0, 0, result), 1);
+        equal(result.index, 1);
+        ok(Math.abs(result.squareDistance - 0.36) < 1e-6, 'square distance to the center');
+
+        equal(index.findClosest(-0.5, 0, 0, result), 0);
+        equal(index.findClosest(10, 10, 10.4, result), 2);
+    });
+
+    test('findClosest returns -1 outside of spots', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var result = {};
+        equal(index.findClosest(5, 5, 5, result), -1, 'spot with zero radius');
+        equal(result.index, -1);
+        equal(result.squareDistance, Infinity);
+        equal(index.findClosest(100, 0, 0, result), -1, 'outside of the grid');
+        equal(index.findClosest(0, 1.5, 0, result), -1, 'between spots');
+    });
+
+    test('findClosest applies scales', function() {
+        var spots = makeSpots();
+        var result = {};
+        equal(new SpatialIndex(spots, 1).findClosest(-1.5, 0, 0, result), -1);
+        equal(new SpatialIndex(spots, 2).findClosest(-1.5, 0, 0, result), 0, 'global scale');
+        spots[0].scale = 2;
+        equal(new SpatialIndex(spots, 1).findClosest(-1.5, 0, 0, result), 0, 'spot scale');
+        equal(new SpatialIndex(spots, 1).radius(0), 2);
+        ok(isNaN(new SpatialIndex(spots, 1).radius(3)), 'radius of the unmatched spot');
+    });
+
+    test('forEachContaining visits all containing spots', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var visited = [];
+        index.forEachContaining(0.9, 0, 0, function(spotIndex, squareDistance) {
+            visited.push(spotIndex);
+        });
+        deepEqual(visited.sort(), [0, 1]);
+
+        visited = [];
+        index.forEachContaining(-0.9, 0, 0, function(spotIndex) {
+            visited.push(spotIndex);
+        });
+        deepEqual(visited, [0]);
+
+        visited = [];
+        index.forEachContaining(5, 5, 5, function(spotIndex) {
+            visited.push(spotIndex);
+        });
+        deepEqual(visited, []);
+    });
+
+    test('findNearest orders spots by distance regardless of radii', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var indeces = new Int32Array(2);
+        var squareDistances = new Float32Array(2);
+        equal(index.findNearest(9, 9, 9, 2, indeces, squareDistances), 2);
+        deepEqual(Array.prototype.slice.call(indeces), [2, 1]);
+        ok(Math.abs(squareDistances[0] - 3) < 1e-6, 'square distance to the nearest');
+    });
+
+    test('findNearest returns at most the number of indexed spots', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var indeces = new Int32Array(10);
+        var squareDistances = new Float32Array(10);
+        equal(index.findNearest(0, 0, 0, 10, indeces, squareDistances), 3);
+        deepEqual(Array.prototype.slice.call(indeces.subarray(0, 3)), [0, 1, 2]);
+        equal(index.findNearest(0, 0, 0, 0, indeces, squareDistances), 0);
+        equal(new SpatialIndex([], 1).findNearest(0, 0, 0, 1, indeces, squareDistances), 0, 'empty index');
+    });
+
+    test('findNearest works for points outside of the grid', function() {
+        var index = new SpatialIndex(makeSpots(), 1);
+        var indeces = new Int32Array(1);
+        var squareDistances = new Float32Array(1);
+        equal(index.findNearest(-1000, 0, 0, 1, indeces, squareDistances), 1);
+        equal(indeces[0], 0);
+        equal(index.findNearest(1000, 1000, -1000, 1, indeces, squareDistances), 1);
+        equal(indeces[0], 2);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+define(['spotscontroller'],
+function(SpotsController) {
+    module('SpotsController');
+
+    function makeController() {
+        var controller = new SpotsController();
+        controller.spots = [
+            {name: 'a', x: 1, y: 2, z: 0, r: 1},
+            {name: 'b,2', x: 3.5, y: 4, z: 0, r: 1},
+            {name: 'say "c"', x: 5, y: 6, z: 7, r: 1}
+        ];
+        controller.measures = [
+            {name: 'First', index: 0, values: new Float32Array([1, 2, NaN])},
+            {name: 'm/z 1,5', index: 1, values: new Float32Array([0.1, 0.2, 0.3])}
+        ];
+        return controller;
+    }
+
+    test('_csvField quotes special characters', function() {
+        equal(SpotsController._csvField('plain'), 'plain');
+        equal(SpotsController._csvField('a,b'), '"a,b"');
+        equal(SpotsController._csvField('say "hi"'), '"say ""hi"""');
+        equal(SpotsController._csvField('two\nlines'), '"two\nlines"');
+        equal(SpotsController._csvField('cr\r'), '"cr\r"');
+        equal(SpotsController._csvField(''), '');
+    });
+
+    test('_csvField formats numbers', function() {
+        equal(SpotsController._csvField(1.5), '1.5');
+        equal(SpotsController._csvField(0), '0');
+        equal(SpotsController._csvField(NaN), '', 'missing value');
+    });
+
+    test('toCSV exports the active map of all spots', function() {
+        var controller = makeController();
+        controller.selectMapByIndex(0);
+        var lines = controller.toCSV(false).split('\n');
+        equal(lines.length, 5, 'header, 3 spots and the final line break');
+        equal(lines[0], 'Name,X,Y,Z,First,Intensity,Color');
+        // Intensities are relative to min/max of the map.
+        ok(/^a,1,2,0,1,0,#[0-9a-f]{6}$/.test(lines[1]), lines[1]);
+        ok(/^"b,2",3\.5,4,0,2,1,#[0-9a-f]{6}$/.test(lines[2]), lines[2]);
+        equal(lines[3], '"say ""c""",5,6,7,,,', 'no value');
+        equal(lines[4], '');
+    });
+
+    test('toCSV exports all maps of selected spots', function() {
+        var controller = makeController();
+        controller.selectMapByIndex(1);
+        controller.select([controller.spots[1]]);
+        var lines = controller.toCSV(true).split('\n');
+        equal(lines[0], 'Name,X,Y,Z,First,"m/z 1,5",Intensity,Color');
+        ok(/^"b,2",3\.5,4,0,2,0\.2,[\d.]+,#[0-9a-f]{6}$/.test(lines[1]), 'values are rounded to float precision');
+        equal(lines.length, 3, 'only the selection');
+    });
+
+    test('toCSV without the active map', function() {
+        var controller = makeController();
+        equal(controller.toCSV(false).split('\n')[0], 'Name,X,Y,Z,Intensity,Color');
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+define(['three', 'trianglebvh'],
+function(THREE, TriangleBVH) {
+    module('TriangleBVH');
+
+    /**
+     * Non-indexed squares [0, n] x [0, n] of n x n quads at z = 0 (first
+     * 2 n^2 triangles) and z = -1.
+     */
+    function makeLayers(n) {
+        var positions = [];
+        [0, -1].forEach(function(z) {
+            for (var i = 0; i < n; i++) {
+                for (var j = 0; j < n; j++) {
+                    positions.push(i, j, z, i + 1, j, z, i + 1, j + 1, z);
+                    positions.push(i, j, z, i + 1, j + 1, z, i, j + 1, z);
+                }
+            }
+        });
+        return new Float32Array(positions);
+    }
+
+    function downRay(x, y) {
+        return new THREE.Ray(new THREE.Vector3(x, y, 10), new THREE.Vector3(0, 0, -1));
+    }
+
+    test('Finds the closest triangle', function() {
+        var bvh = new TriangleBVH(makeLayers(8), null);
+        var hit = bvh.intersect(downRay(2.7, 5.2));
+        ok(hit, 'hit');
+        equal(hit.distance, 10);
+        // Quad (2, 5) of the top layer, the triangle under the diagonal.
+        equal(hit.triangle, (2 * 8 + 5) * 2);
+        equal(bvh.vertex(hit.triangle, 0), hit.triangle * 3, 'vertices of non-indexed geometry');
+        equal(bvh.vertex(hit.triangle, 2), hit.triangle * 3 + 2);
+    });
+
+    test('Skips triangles', function() {
+        var bvh = new TriangleBVH(makeLayers(8), null);
+        var hit = bvh.intersect(downRay(2.7, 5.2), function(triangle) {
+            return triangle < 128; // The top layer.
+        });
+        ok(hit, 'hit');
+        equal(hit.distance, 11, 'the bottom layer');
+        ok(hit.triangle >= 128);
+    });
+
+    test('Misses', function() {
+        var bvh = new TriangleBVH(makeLayers(8), null);
+        strictEqual(bvh.intersect(downRay(9, 5)), null, 'outside');
+        var up = new THREE.Ray(new THREE.Vector3(4, 4, 10), new THREE.Vector3(0, 0, 1));
+        strictEqual(bvh.intersect(up), null, 'pointing away');
+        strictEqual(new TriangleBVH(new Float32Array(0), null).intersect(downRay(0, 0)), null, 'empty mesh');
+    });
+
+    test('Indexed geometry', function() {
+        var positions = new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+        var bvh = new TriangleBVH(positions, new Uint16Array([0, 1, 2, 0, 2, 3]));
+        var hit = bvh.intersect(downRay(0.2, 0.7));
+        equal(hit.triangle, 1);
+        deepEqual([bvh.vertex(1, 0), bvh.vertex(1, 1), bvh.vertex(1, 2)], [0, 2, 3]);
+    });
+
+    test('Agrees with testing all triangles', function() {
+        var positions = makeLayers(6);
+        var bvh = new TriangleBVH(positions, null);
+        var a = new THREE.Vector3();
+        var b = new THREE.Vector3();
+        var c = new THREE.Vector3();
+        var point = new THREE.Vector3();
+        var mismatches = 0;
+        for (var k = 0; k < 50; k++) {
+            var origin = new THREE.Vector3(k % 7 - 0.3, (k * 3) % 8 - 0.6, 5 - k % 3);
+            var direction = new THREE.Vector3(0.1 * (k % 5 - 2), 0.1 * (k % 3 - 1), -1).normalize();
+            var ray = new THREE.Ray(origin, direction);
+
+            var closest = Infinity;
+            for (var i = 0; i < positions.length / 9; i++) {
+                a.fromArray(positions, i * 9);
+                b.fromArray(positions, i * 9 + 3);
+                c.fromArray(positions, i * 9 + 6);
+                if (ray.intersectTriangle(c, b, a, false, point)) {
+                    closest = Math.min(closest, origin.distanceTo(point));
+                }
+            }
+            var hit = bvh.intersect(ray);
+            if (hit ? Math.abs(hit.distance - closest) > 1e-5 : closest != Infinity) mismatches++;
+        }
+        equal(mismatches, 0);
+    });
+});